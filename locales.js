@@ -0,0 +1,817 @@
+/**
+ * @file Catálogos de textos do Finix PWA, um por idioma.
+ * @description As chaves são agrupadas por tela. `{nome}` marca os valores preenchidos por `tr()` em main.js.
+ * Para adicionar um idioma, copie o catálogo 'pt-BR' com uma nova chave: ele aparece automaticamente nas Configurações.
+ */
+const LOCALES = {
+    'pt-BR': {
+        'language.name': 'Português (Brasil)',
+
+        'common.save': 'Salvar',
+        'common.cancel': 'Cancelar',
+        'common.confirm': 'Confirmar',
+        'common.back': 'Voltar',
+        'common.error': 'Erro: {message}',
+        'common.invalidNumber': 'Informe um valor numérico válido.',
+        'common.months': '{count} meses',
+
+        'nav.calendar': 'Calendário',
+        'nav.transactions': 'Transações',
+        'nav.reports': 'Relatórios',
+        'nav.forecast': 'Previsão',
+        'nav.settings': 'Configurações',
+        'nav.addTx': 'Adicionar Transação',
+        'update.available': 'Nova versão disponível.',
+        'update.reload': 'Recarregar',
+        'storage.openFailed': 'Não foi possível abrir o banco de dados local. Suas alterações não serão salvas nesta sessão.',
+        'storage.legacyInvalid': 'Os dados da versão anterior do app estão corrompidos e não puderam ser importados.',
+
+        'fields.date': 'Data',
+        'fields.description': 'Descrição',
+        'fields.amount': 'Valor',
+        'fields.currency': 'Moeda',
+        'fields.account': 'Conta',
+        'fields.category': 'Categoria',
+        'fields.tags': 'Tags',
+        'fields.tagsPlaceholder': 'Ex: viagem, trabalho',
+
+        'categories.uncategorized': 'Sem categoria',
+        'categories.food': 'Alimentação',
+        'categories.home': 'Moradia',
+        'categories.transport': 'Transporte',
+        'categories.leisure': 'Lazer',
+        'categories.salary': 'Salário',
+        'categories.exists': 'A categoria "{name}" já existe.',
+        'categories.deleteConfirm': 'Deseja remover a categoria "{name}"? As transações dela ficarão sem categoria.',
+
+        'accountTypes.checking': 'Conta corrente',
+        'accountTypes.savings': 'Poupança',
+        'accountTypes.cash': 'Dinheiro',
+        'accountTypes.credit': 'Cartão de crédito',
+        'accounts.default': 'Carteira',
+        'accounts.creditDaysRequired': 'Informe os dias de fechamento e vencimento do cartão (1 a 31).',
+        'accounts.keepOne': 'É necessário manter pelo menos uma conta.',
+        'accounts.hasTransactions': 'A conta "{name}" possui transações. Remova-as antes de excluir a conta.',
+        'accounts.deleteConfirm': 'Deseja remover a conta "{name}"?',
+        'accounts.openingBalancePrompt': 'Saldo inicial de "{name}" ({currency}):',
+        'accounts.cycle': 'fecha dia {closing}, vence dia {due}',
+        'accounts.nextInvoice': 'próxima fatura {amount} em {date}',
+        'currency.ratePrompt': 'Quanto vale 1 {currency} em {base}?',
+
+        'transactions.title': 'Transações',
+        'transactions.filterPlaceholder': 'Filtrar por descrição...',
+        'transactions.allCategories': 'Todas as categorias',
+        'transactions.allTags': 'Todas as tags',
+        'transactions.allAccounts': 'Todas as contas',
+        'transactions.empty': 'Nenhuma transação encontrada.',
+        'transactions.byCategory': 'Por categoria',
+        'transactions.byTag': 'Por tag',
+        'transactions.edit': 'Editar Transação',
+        'transactions.delete': 'Excluir Transação',
+        'transactions.deleteConfirm': 'Deseja realmente excluir a transação "{description}"?',
+        'transactions.recurringDelete': 'Transações recorrentes devem ser removidas pela regra em "Configurações".',
+        'search.allTypes': 'Receitas, despesas e transferências',
+        'search.types.income': 'Receitas',
+        'search.types.expense': 'Despesas',
+        'search.types.transfer': 'Transferências',
+        'search.allOrigins': 'Recorrentes e avulsas',
+        'search.origins.recurring': 'Só recorrentes',
+        'search.origins.single': 'Só avulsas',
+        'search.sort': 'Ordenar por',
+        'search.sorts.dateDesc': 'Mais recentes primeiro',
+        'search.sorts.dateAsc': 'Mais antigas primeiro',
+        'search.sorts.amountDesc': 'Maior valor',
+        'search.sorts.amountAsc': 'Menor valor',
+        'search.sorts.description': 'Descrição (A-Z)',
+        'search.amountRange': 'Valor ({currency})',
+        'search.min': 'Mínimo',
+        'search.max': 'Máximo',
+        'search.period': 'Período',
+        'search.from': 'De',
+        'search.to': 'Até',
+        'search.savedName': 'Nome da busca',
+        'search.save': 'Salvar busca',
+        'search.clear': 'Limpar',
+        'search.deleteSaved': 'Excluir busca salva',
+        'search.summary': '{count} transação(ões) • saldo {total}',
+        'transfers.deleteConfirm': 'Deseja realmente excluir a transferência "{description}"?',
+        'transfers.sameAccount': 'Escolha contas diferentes para a transferência.',
+        'transfers.defaultDescription': 'Transferência: {from} → {to}',
+        'invoices.description': 'Fatura {name}',
+        'invoices.summary': '{count} lançamento(s) • fechou em {date}',
+        'occurrence.skipped': 'pulada',
+        'occurrence.paidEarly': 'antecipada',
+        'occurrence.paid': 'paga',
+
+        'calendar.previousMonth': 'Mês anterior',
+        'calendar.nextMonth': 'Próximo mês',
+        'day.balance': 'Balanço do Dia: {amount}',
+        'day.projectedBalance': 'Saldo previsto: {amount}',
+        'upcoming.title': 'Próximas contas',
+        'upcoming.dueToday': 'Vence hoje',
+        'upcoming.due': 'Vence em {date}',
+        'upcoming.overdue': 'Venceu em {date}',
+        'upcoming.enableNotifications': 'Ativar notificações',
+        'reminders.label': 'Lembrete de vencimento',
+        'reminders.daysBefore': 'Dias antes',
+        'reminders.onDay': 'No dia',
+        'reminders.markPaid': 'Marcar como paga',
+        'reminders.unmarkPaid': 'Desmarcar pagamento',
+        'reminders.dueToday': 'Conta vence hoje',
+        'reminders.dueSoon': 'Conta a vencer',
+        'reminders.body': '{description} • {amount} • vence em {date}',
+
+        'budgets.general': 'Orçamento geral',
+        'budgets.generalShort': 'Geral',
+        'budgets.monthTitle': 'Orçamentos de {month}',
+        'budgets.progress': '{spent} de {limit}',
+        'budgets.over': '{amount} acima do limite',
+        'budgets.carried': 'Inclui {amount} do mês anterior',
+        'budgets.exists': 'Já existe um orçamento para esta categoria.',
+        'budgets.deleteConfirm': 'Deseja remover este orçamento?',
+        'budgets.impactLine': '• {name}: {spent} de {limit}',
+        'budgets.exceededConfirm': 'Esta despesa ultrapassa o orçamento do mês:\n{lines}\n\nDeseja continuar mesmo assim?',
+
+        'addTx.title': 'Nova Transação',
+        'addTx.descriptionPlaceholder': 'Ex: Salário, Almoço',
+        'addTx.amountPlaceholder': 'Ex: 1500.00 ou -25.50',
+        'addTx.accountCurrency': 'Moeda da conta',
+        'addTx.isTransfer': 'É uma transferência entre contas?',
+        'addTx.transferTo': 'Conta de Destino',
+        'addTx.isRecurring': 'É uma transação recorrente?',
+        'addTx.recurringType': 'Tipo',
+        'addTx.expense': 'Despesa',
+        'addTx.income': 'Receita (ex: salário)',
+        'addTx.submit': 'Adicionar',
+
+        'editTx.title': 'Editar Transação',
+        'editTx.transferTitle': 'Editar Transferência',
+        'editTx.installment': 'Parcela {installment} de {total} da regra "{rule}"',
+        'editTx.installmentOpen': 'Parcela {installment} da regra "{rule}"',
+        'editTx.scope': 'Aplicar alterações em',
+        'editTx.scopeSingle': 'Somente esta parcela',
+        'editTx.scopeFuture': 'Esta e as próximas parcelas',
+        'editTx.scopeSeries': 'Toda a série',
+        'editTx.occurrenceTitle': 'Esta parcela',
+        'editTx.occurrenceIntro': 'Pule uma parcela ou antecipe o pagamento sem perder o histórico.',
+        'editTx.skip': 'Pular parcela',
+        'editTx.unskip': 'Desfazer pulo',
+        'editTx.payEarly': 'Antecipar para hoje',
+        'editTx.paidEarly': 'Antecipada; vencimento original em {date}.',
+
+        'editRecurring.title': 'Editar Regra Recorrente',
+        'editRecurring.intro': 'As alterações valem para todas as parcelas, exceto as editadas individualmente. {count} parcela(s) já vencida(s) ou antecipada(s).',
+        'editRecurring.amountPlaceholder': 'Negativo para despesas',
+        'recurring.edit': 'Editar Regra Recorrente',
+        'recurring.delete': 'Excluir Regra Recorrente',
+        'recurring.deleteConfirm': 'Deseja remover esta regra e TODAS as suas transações?',
+        'recurring.progress': '{settled} de {total} parcelas aplicadas.',
+        'recurring.progressOpen': '{settled} parcela(s) até hoje, sem término.',
+        'recurrence.frequency': 'Frequência',
+        'recurrence.day': 'Dia',
+        'recurrence.weekend': 'Se cair no fim de semana',
+        'recurrence.installments': 'Número de Parcelas',
+        'recurrence.remaining': 'Parcelas Restantes',
+        'recurrence.openEnded': 'Sem data de término',
+        'recurrence.fixedDay': 'dia {day}',
+        'recurrence.lastDay': 'último dia',
+        'recurrence.businessDay': '{day}º dia útil',
+        'frequencies.weekly': 'Semanal',
+        'frequencies.biweekly': 'Quinzenal',
+        'frequencies.monthly': 'Mensal',
+        'frequencies.quarterly': 'Trimestral',
+        'frequencies.yearly': 'Anual',
+        'dayModes.fixed': 'Dia fixo do mês',
+        'dayModes.last': 'Último dia do mês',
+        'dayModes.business': 'N-ésimo dia útil',
+        'weekendAdjustments.none': 'Manter a data',
+        'weekendAdjustments.forward': 'Adiar para segunda-feira',
+        'weekendAdjustments.backward': 'Antecipar para sexta-feira',
+
+        'forecast.title': 'Previsão de Saldo',
+        'forecast.intro': 'Saldo projetado a partir das transações, parcelas e faturas já lançadas, em {currency}.',
+        'forecast.simulationTitle': 'Simular compra parcelada',
+        'forecast.simulationIntro': 'Veja como uma nova compra afetaria o seu saldo.',
+        'forecast.totalAmount': 'Valor total',
+        'forecast.installments': 'Parcelas',
+        'forecast.simulate': 'Simular',
+        'forecast.today': 'Saldo hoje',
+        'forecast.lowest': 'Menor saldo previsto',
+        'forecast.balanceOn': 'Saldo em {date}',
+        'forecast.fits': 'A compra cabe no seu fluxo de caixa pelos próximos {months} meses.',
+        'forecast.negative': 'Com a compra o saldo ficaria negativo ({amount} em {date}).',
+        'forecast.simulation': 'Simulação: {installments}x de {amount}',
+        'forecast.lowestWithPurchase': 'Menor saldo com a compra',
+        'forecast.finalWithPurchase': 'Saldo final com a compra',
+        'forecast.monthly': 'Mês a mês',
+        'forecast.finalBalance': 'Saldo final: {amount}',
+
+        'reports.title': 'Relatórios',
+        'reports.intro': 'Escolha o período analisado.',
+        'reports.thisYear': 'Este ano',
+        'reports.monthlyTitle': 'Receitas x Despesas',
+        'reports.categoriesTitle': 'Despesas por Categoria',
+        'reports.trendTitle': 'Economia Líquida (12 meses)',
+        'reports.topTitle': 'Maiores Gastos por Descrição',
+        'reports.month': 'Mês',
+        'reports.income': 'Receitas',
+        'reports.expenses': 'Despesas',
+        'reports.balance': 'Saldo',
+        'reports.savings': 'Economia',
+        'reports.total': 'Total',
+        'reports.occurrences': 'Ocorrências',
+        'reports.periodIncome': 'Receitas no período',
+        'reports.periodExpenses': 'Despesas no período',
+        'reports.netSavings': 'Economia líquida',
+        'reports.noTransactions': 'Sem transações no período.',
+        'reports.noExpenses': 'Sem despesas no período.',
+        'reports.others': 'Outros',
+        'reports.pngFailed': 'Não foi possível gerar a imagem PNG neste navegador.',
+
+        'settings.title': 'Configurações',
+        'settings.backupTitle': 'Exportar/Importar',
+        'settings.backupIntro': 'Salve ou restaure um backup de seus dados.',
+        'settings.backupPassphrase': 'Senha do backup (opcional)',
+        'settings.exportJson': 'Exportar JSON',
+        'settings.importJson': 'Importar JSON',
+        'settings.statementIntro': 'Adicione transações a partir do extrato do seu banco.',
+        'settings.importStatement': 'Importar Extrato (OFX/CSV)',
+        'settings.accountsTitle': 'Contas',
+        'settings.accountsIntro': 'Gerencie suas contas e cartões de crédito.',
+        'settings.accountName': 'Nova conta',
+        'settings.accountOpening': 'Saldo inicial (ex: 1500.00)',
+        'settings.closingDay': 'Dia de fechamento',
+        'settings.dueDay': 'Dia de vencimento',
+        'settings.paymentAccount': 'Pagar fatura com...',
+        'settings.addAccount': 'Adicionar Conta',
+        'settings.editOpening': 'Editar Saldo Inicial',
+        'settings.deleteAccount': 'Excluir Conta',
+        'settings.categoriesTitle': 'Categorias',
+        'settings.categoriesIntro': 'Crie categorias para organizar suas transações.',
+        'settings.categoryIcon': 'Ícone',
+        'settings.categoryName': 'Nova categoria',
+        'settings.categoryColor': 'Cor',
+        'settings.addCategory': 'Adicionar Categoria',
+        'settings.deleteCategory': 'Excluir Categoria',
+        'settings.budgetsTitle': 'Orçamentos',
+        'settings.budgetsIntro': 'Defina um limite mensal de gastos geral ou por categoria, em {currency}.',
+        'settings.budgetGeneral': 'Geral (todas as despesas)',
+        'settings.budgetLimit': 'Limite',
+        'settings.budgetRollover': 'Acumular saldo não gasto',
+        'settings.addBudget': 'Adicionar Orçamento',
+        'settings.deleteBudget': 'Excluir Orçamento',
+        'settings.noBudgets': 'Nenhum orçamento definido.',
+        'settings.rollover': 'acumulativo',
+        'settings.recurringTitle': 'Transações Recorrentes',
+        'settings.recurringIntro': 'Visualize, edite e exclua regras de receitas e despesas recorrentes.',
+        'settings.noRecurring': 'Nenhuma regra recorrente.',
+        'settings.preferencesTitle': 'Idioma e Moeda',
+        'settings.preferencesIntro': 'Totais, saldos, orçamentos e relatórios são convertidos para a moeda base.',
+        'settings.language': 'Idioma',
+        'settings.weekStart': 'A semana começa no',
+        'settings.baseCurrency': 'Moeda base',
+        'settings.ratesIntro': 'Cotações usadas na conversão:',
+        'settings.ratePlaceholder': 'Cotação',
+        'settings.aboutTitle': 'Sobre',
+        'settings.madeBy': 'feito com ❤️ por',
+
+        'settings.historyTitle': 'Histórico de Alterações',
+        'settings.historyIntro': 'Desfaça ou refaça as últimas ações (Ctrl+Z / Ctrl+Shift+Z) ou volte os dados ao estado de qualquer momento da lista.',
+        'history.undo': 'Desfazer',
+        'history.redo': 'Refazer',
+        'history.empty': 'Nenhuma alteração registrada.',
+        'history.records': '{count} registro(s)',
+        'history.restore': 'Restaurar este estado',
+        'history.restoreConfirm': 'Voltar os dados ao estado de {date}? As alterações feitas depois disso serão revertidas (e também poderão ser desfeitas).',
+        'history.actions.addTransaction': 'Transação "{description}" adicionada',
+        'history.actions.updateTransaction': 'Transação "{description}" editada',
+        'history.actions.deleteTransaction': 'Transação "{description}" excluída',
+        'history.actions.addTransfer': 'Transferência "{description}" adicionada',
+        'history.actions.updateTransfer': 'Transferência "{description}" editada',
+        'history.actions.deleteTransfer': 'Transferência "{description}" excluída',
+        'history.actions.addRecurring': 'Regra "{description}" adicionada',
+        'history.actions.updateRecurring': 'Regra "{description}" editada',
+        'history.actions.deleteRecurring': 'Regra "{description}" excluída',
+        'history.actions.skipOccurrence': 'Parcela de "{description}" pulada',
+        'history.actions.unskipOccurrence': 'Parcela de "{description}" retomada',
+        'history.actions.payEarly': 'Parcela de "{description}" antecipada',
+        'history.actions.markPaid': '"{description}" marcada como paga',
+        'history.actions.unmarkPaid': 'Pagamento de "{description}" desmarcado',
+        'history.actions.addCategory': 'Categoria "{name}" adicionada',
+        'history.actions.deleteCategory': 'Categoria "{name}" excluída',
+        'history.actions.addBudget': 'Orçamento "{name}" adicionado',
+        'history.actions.deleteBudget': 'Orçamento "{name}" excluído',
+        'history.actions.addAccount': 'Conta "{name}" adicionada',
+        'history.actions.deleteAccount': 'Conta "{name}" excluída',
+        'history.actions.editOpeningBalance': 'Saldo inicial de "{name}" alterado',
+        'history.actions.updatePreferences': 'Idioma e moeda alterados',
+        'history.actions.saveFilter': 'Busca "{name}" salva',
+        'history.actions.deleteFilter': 'Busca "{name}" excluída',
+        'history.actions.importStatement': '{count} transação(ões) importada(s) do extrato',
+        'history.actions.mergeBackup': 'Backup mesclado',
+        'history.actions.replaceBackup': 'Dados substituídos pelo backup',
+        'history.actions.restoreState': 'Dados restaurados para {date}',
+        'history.actions.undo': 'Desfeito: {action}',
+        'history.actions.redo': 'Refeito: {action}',
+        'history.actions.sync': 'Alterações de outros aparelhos sincronizadas',
+        'history.actions.resolveConflict': 'Conflito de "{name}" resolvido com a outra versão',
+
+        'settings.syncTitle': 'Sincronização',
+        'settings.syncIntro': 'Mantenha os mesmos dados em vários aparelhos usando uma pasta WebDAV (Nextcloud, ownCloud...) ou um servidor REST próprio. O endereço e as credenciais ficam salvos apenas neste aparelho.',
+        'sync.transport': 'Servidor',
+        'sync.transports.none': 'Desativada',
+        'sync.transports.webdav': 'Pasta WebDAV',
+        'sync.transports.rest': 'Servidor REST',
+        'sync.url': 'Endereço (pasta WebDAV ou URL do documento)',
+        'sync.username': 'Usuário (WebDAV)',
+        'sync.secret': 'Senha ou token',
+        'sync.now': 'Sincronizar agora',
+        'sync.status.disabled': 'Sincronização desativada.',
+        'sync.status.never': 'Ainda não sincronizado.',
+        'sync.status.idle': 'Sincronizado em {date}.',
+        'sync.status.syncing': 'Sincronizando...',
+        'sync.status.offline': 'Sem conexão: as alterações ficam na fila e serão enviadas quando a conexão voltar.',
+        'sync.status.error': 'Falha na sincronização: {message}',
+        'sync.pending': '{count} alteração(ões) na fila.',
+        'sync.errors.network': 'não foi possível conectar ao servidor.',
+        'sync.errors.http': 'o servidor respondeu com o status {status}.',
+        'sync.errors.format': 'o documento no servidor não é um arquivo de sincronização do Finix.',
+        'sync.errors.newerVersion': 'o documento no servidor foi gravado por uma versão mais nova do Finix.',
+        'sync.errors.busy': 'outro aparelho está gravando ao mesmo tempo. Tente de novo em instantes.',
+        'sync.conflictsIntro': 'Conflitos: registros alterados neste e em outro aparelho desde a última sincronização. Valeu a alteração mais recente; confira e, se preferir, use a outra versão.',
+        'sync.noConflicts': 'Nenhum conflito pendente.',
+        'sync.conflictsFound': '{count} conflito(s) na sincronização',
+        'sync.review': 'Revisar',
+        'sync.kept.local': 'Mantida a versão deste aparelho ({kept}); a do outro aparelho ({discarded}) foi descartada.',
+        'sync.kept.remote': 'Mantida a versão do outro aparelho ({kept}); a deste aparelho ({discarded}) foi descartada.',
+        'sync.deleted': 'excluído',
+        'sync.useDiscarded': 'Usar a versão descartada',
+        'sync.dismiss': 'Manter como está',
+        'sync.collections.transactions': 'Transação',
+        'sync.collections.recurringExpenses': 'Regra recorrente',
+        'sync.collections.accounts': 'Conta',
+        'sync.collections.categories': 'Categoria',
+        'sync.collections.budgets': 'Orçamento',
+        'sync.collections.savedFilters': 'Busca salva',
+        'sync.collections.preferences': 'Preferências',
+
+        'backup.invalidJson': 'O arquivo selecionado não é um JSON válido.',
+        'backup.newerVersion': 'Este backup foi criado por uma versão mais nova do Finix.',
+        'backup.wrongPassphrase': 'Senha incorreta ou arquivo corrompido.',
+        'backup.checksumMismatch': 'O checksum não confere: o arquivo está corrompido.',
+        'backup.exportFailed': 'Não foi possível gerar o backup neste navegador.',
+        'backup.restored': 'Dados importados com sucesso!',
+        'backup.protectedSuffix': '_protegido',
+        'restore.title': 'Restaurar Backup',
+        'restore.protected': 'Este backup está protegido por senha.',
+        'restore.passphrase': 'Senha',
+        'restore.decrypt': 'Descriptografar',
+        'restore.checking': 'Verificando arquivo...',
+        'restore.backup': 'Backup',
+        'restore.backupCreated': 'Backup criado em {date}',
+        'restore.encrypted': '(criptografado)',
+        'restore.merge': 'Mesclar',
+        'restore.replace': 'Substituir tudo',
+        'restore.mergeHint': 'Registros com o mesmo id são atualizados; os que existem apenas neste aparelho são mantidos.',
+        'restore.replaceHint': 'Todos os dados atuais serão apagados e trocados pelos do backup.',
+        'restore.replaceConfirm': 'Tem certeza? Todos os seus dados atuais serão substituídos.',
+        'restore.summary': 'Resumo',
+        'restore.mergeDetail': '{added} novo(s), {updated} atualizado(s), {untouched} sem alteração',
+        'restore.replaceDetail': '{added} novo(s), {updated} atualizado(s), {removed} removido(s), {untouched} sem alteração',
+        'restore.collections.transactions': 'Transações',
+        'restore.collections.recurringExpenses': 'Regras recorrentes',
+        'restore.collections.accounts': 'Contas',
+        'restore.collections.categories': 'Categorias',
+        'restore.collections.budgets': 'Orçamentos',
+
+        'statement.title': 'Importar Extrato',
+        'statement.intro': 'Importe arquivos OFX/QFX ou CSV exportados pelo seu banco. As transações serão adicionadas às já existentes.',
+        'statement.account': 'Conta de Destino',
+        'statement.chooseFile': 'Escolher Arquivo',
+        'statement.columnsTitle': 'Colunas do CSV',
+        'statement.lines': '{count} linha(s)',
+        'statement.column': 'Coluna {number}',
+        'statement.delimiters.semicolon': 'Separador: ponto e vírgula',
+        'statement.delimiters.comma': 'Separador: vírgula',
+        'statement.delimiters.tab': 'Separador: tabulação',
+        'statement.hasHeader': 'A primeira linha é o cabeçalho',
+        'statement.amounts': 'Valores',
+        'statement.singleColumn': 'Uma coluna (negativo = despesa)',
+        'statement.splitColumns': 'Colunas separadas de débito e crédito',
+        'statement.debitCredit': 'Débito / Crédito',
+        'statement.decimalComma': 'Usa vírgula como separador decimal (ex: 1.234,56)',
+        'statement.preview': 'Pré-visualizar',
+        'statement.previewTitle': 'Pré-visualização',
+        'statement.previewSummary': '{count} nova(s), {duplicates} possível(is) duplicata(s)',
+        'statement.skippedRows': '{count} linha(s) ignorada(s) por data ou valor inválido',
+        'statement.duplicate': 'duplicada',
+        'statement.importCount': 'Importar {count}',
+        'statement.imported': '{count} transação(ões) importada(s) com sucesso!',
+        'statement.noDescription': 'Sem descrição'
+    },
+    en: {
+        'language.name': 'English',
+
+        'common.save': 'Save',
+        'common.cancel': 'Cancel',
+        'common.confirm': 'Confirm',
+        'common.back': 'Back',
+        'common.error': 'Error: {message}',
+        'common.invalidNumber': 'Please enter a valid number.',
+        'common.months': '{count} months',
+
+        'nav.calendar': 'Calendar',
+        'nav.transactions': 'Transactions',
+        'nav.reports': 'Reports',
+        'nav.forecast': 'Forecast',
+        'nav.settings': 'Settings',
+        'nav.addTx': 'Add Transaction',
+        'update.available': 'A new version is available.',
+        'update.reload': 'Reload',
+        'storage.openFailed': 'Could not open the local database. Your changes will not be saved in this session.',
+        'storage.legacyInvalid': 'The data from the previous version of the app is corrupted and could not be imported.',
+
+        'fields.date': 'Date',
+        'fields.description': 'Description',
+        'fields.amount': 'Amount',
+        'fields.currency': 'Currency',
+        'fields.account': 'Account',
+        'fields.category': 'Category',
+        'fields.tags': 'Tags',
+        'fields.tagsPlaceholder': 'E.g. travel, work',
+
+        'categories.uncategorized': 'Uncategorized',
+        'categories.food': 'Food',
+        'categories.home': 'Housing',
+        'categories.transport': 'Transportation',
+        'categories.leisure': 'Leisure',
+        'categories.salary': 'Salary',
+        'categories.exists': 'The category "{name}" already exists.',
+        'categories.deleteConfirm': 'Remove the category "{name}"? Its transactions will become uncategorized.',
+
+        'accountTypes.checking': 'Checking account',
+        'accountTypes.savings': 'Savings',
+        'accountTypes.cash': 'Cash',
+        'accountTypes.credit': 'Credit card',
+        'accounts.default': 'Wallet',
+        'accounts.creditDaysRequired': 'Enter the card closing and due days (1 to 31).',
+        'accounts.keepOne': 'You must keep at least one account.',
+        'accounts.hasTransactions': 'The account "{name}" has transactions. Remove them before deleting the account.',
+        'accounts.deleteConfirm': 'Remove the account "{name}"?',
+        'accounts.openingBalancePrompt': 'Opening balance of "{name}" ({currency}):',
+        'accounts.cycle': 'closes on day {closing}, due on day {due}',
+        'accounts.nextInvoice': 'next statement {amount} on {date}',
+        'currency.ratePrompt': 'How much is 1 {currency} worth in {base}?',
+
+        'transactions.title': 'Transactions',
+        'transactions.filterPlaceholder': 'Filter by description...',
+        'transactions.allCategories': 'All categories',
+        'transactions.allTags': 'All tags',
+        'transactions.allAccounts': 'All accounts',
+        'transactions.empty': 'No transactions found.',
+        'transactions.byCategory': 'By category',
+        'transactions.byTag': 'By tag',
+        'transactions.edit': 'Edit Transaction',
+        'transactions.delete': 'Delete Transaction',
+        'transactions.deleteConfirm': 'Really delete the transaction "{description}"?',
+        'transactions.recurringDelete': 'Recurring transactions must be removed through their rule in "Settings".',
+        'search.allTypes': 'Income, expenses and transfers',
+        'search.types.income': 'Income',
+        'search.types.expense': 'Expenses',
+        'search.types.transfer': 'Transfers',
+        'search.allOrigins': 'Recurring and one-off',
+        'search.origins.recurring': 'Recurring only',
+        'search.origins.single': 'One-off only',
+        'search.sort': 'Sort by',
+        'search.sorts.dateDesc': 'Newest first',
+        'search.sorts.dateAsc': 'Oldest first',
+        'search.sorts.amountDesc': 'Highest amount',
+        'search.sorts.amountAsc': 'Lowest amount',
+        'search.sorts.description': 'Description (A-Z)',
+        'search.amountRange': 'Amount ({currency})',
+        'search.min': 'Minimum',
+        'search.max': 'Maximum',
+        'search.period': 'Period',
+        'search.from': 'From',
+        'search.to': 'To',
+        'search.savedName': 'Search name',
+        'search.save': 'Save search',
+        'search.clear': 'Clear',
+        'search.deleteSaved': 'Delete saved search',
+        'search.summary': '{count} transaction(s) • balance {total}',
+        'transfers.deleteConfirm': 'Really delete the transfer "{description}"?',
+        'transfers.sameAccount': 'Choose different accounts for the transfer.',
+        'transfers.defaultDescription': 'Transfer: {from} → {to}',
+        'invoices.description': '{name} statement',
+        'invoices.summary': '{count} purchase(s) • closed on {date}',
+        'occurrence.skipped': 'skipped',
+        'occurrence.paidEarly': 'paid early',
+        'occurrence.paid': 'paid',
+
+        'calendar.previousMonth': 'Previous month',
+        'calendar.nextMonth': 'Next month',
+        'day.balance': 'Day balance: {amount}',
+        'day.projectedBalance': 'Projected balance: {amount}',
+        'upcoming.title': 'Upcoming bills',
+        'upcoming.dueToday': 'Due today',
+        'upcoming.due': 'Due on {date}',
+        'upcoming.overdue': 'Was due on {date}',
+        'upcoming.enableNotifications': 'Enable notifications',
+        'reminders.label': 'Due date reminder',
+        'reminders.daysBefore': 'Days before',
+        'reminders.onDay': 'On the day',
+        'reminders.markPaid': 'Mark as paid',
+        'reminders.unmarkPaid': 'Mark as unpaid',
+        'reminders.dueToday': 'Bill due today',
+        'reminders.dueSoon': 'Upcoming bill',
+        'reminders.body': '{description} • {amount} • due on {date}',
+
+        'budgets.general': 'Overall budget',
+        'budgets.generalShort': 'Overall',
+        'budgets.monthTitle': '{month} budgets',
+        'budgets.progress': '{spent} of {limit}',
+        'budgets.over': '{amount} over the limit',
+        'budgets.carried': 'Includes {amount} from the previous month',
+        'budgets.exists': 'There is already a budget for this category.',
+        'budgets.deleteConfirm': 'Remove this budget?',
+        'budgets.impactLine': '• {name}: {spent} of {limit}',
+        'budgets.exceededConfirm': 'This expense exceeds the monthly budget:\n{lines}\n\nContinue anyway?',
+
+        'addTx.title': 'New Transaction',
+        'addTx.descriptionPlaceholder': 'E.g. Salary, Lunch',
+        'addTx.amountPlaceholder': 'E.g. 1500.00 or -25.50',
+        'addTx.accountCurrency': 'Account currency',
+        'addTx.isTransfer': 'Is this a transfer between accounts?',
+        'addTx.transferTo': 'Destination Account',
+        'addTx.isRecurring': 'Is this a recurring transaction?',
+        'addTx.recurringType': 'Type',
+        'addTx.expense': 'Expense',
+        'addTx.income': 'Income (e.g. salary)',
+        'addTx.submit': 'Add',
+
+        'editTx.title': 'Edit Transaction',
+        'editTx.transferTitle': 'Edit Transfer',
+        'editTx.installment': 'Installment {installment} of {total} of the rule "{rule}"',
+        'editTx.installmentOpen': 'Installment {installment} of the rule "{rule}"',
+        'editTx.scope': 'Apply changes to',
+        'editTx.scopeSingle': 'This installment only',
+        'editTx.scopeFuture': 'This and the following installments',
+        'editTx.scopeSeries': 'The whole series',
+        'editTx.occurrenceTitle': 'This installment',
+        'editTx.occurrenceIntro': 'Skip an installment or pay it early without losing the history.',
+        'editTx.skip': 'Skip installment',
+        'editTx.unskip': 'Undo skip',
+        'editTx.payEarly': 'Pay today',
+        'editTx.paidEarly': 'Paid early; originally due on {date}.',
+
+        'editRecurring.title': 'Edit Recurring Rule',
+        'editRecurring.intro': 'Changes apply to all installments except those edited individually. {count} installment(s) already due or paid early.',
+        'editRecurring.amountPlaceholder': 'Negative for expenses',
+        'recurring.edit': 'Edit Recurring Rule',
+        'recurring.delete': 'Delete Recurring Rule',
+        'recurring.deleteConfirm': 'Remove this rule and ALL of its transactions?',
+        'recurring.progress': '{settled} of {total} installments applied.',
+        'recurring.progressOpen': '{settled} installment(s) so far, no end date.',
+        'recurrence.frequency': 'Frequency',
+        'recurrence.day': 'Day',
+        'recurrence.weekend': 'If it falls on a weekend',
+        'recurrence.installments': 'Number of Installments',
+        'recurrence.remaining': 'Remaining Installments',
+        'recurrence.openEnded': 'No end date',
+        'recurrence.fixedDay': 'day {day}',
+        'recurrence.lastDay': 'last day',
+        'recurrence.businessDay': 'business day #{day}',
+        'frequencies.weekly': 'Weekly',
+        'frequencies.biweekly': 'Every two weeks',
+        'frequencies.monthly': 'Monthly',
+        'frequencies.quarterly': 'Quarterly',
+        'frequencies.yearly': 'Yearly',
+        'dayModes.fixed': 'Fixed day of the month',
+        'dayModes.last': 'Last day of the month',
+        'dayModes.business': 'Nth business day',
+        'weekendAdjustments.none': 'Keep the date',
+        'weekendAdjustments.forward': 'Move to Monday',
+        'weekendAdjustments.backward': 'Move to Friday',
+
+        'forecast.title': 'Balance Forecast',
+        'forecast.intro': 'Balance projected from the transactions, installments and statements already recorded, in {currency}.',
+        'forecast.simulationTitle': 'Simulate an installment purchase',
+        'forecast.simulationIntro': 'See how a new purchase would affect your balance.',
+        'forecast.totalAmount': 'Total amount',
+        'forecast.installments': 'Installments',
+        'forecast.simulate': 'Simulate',
+        'forecast.today': 'Balance today',
+        'forecast.lowest': 'Lowest projected balance',
+        'forecast.balanceOn': 'Balance on {date}',
+        'forecast.fits': 'The purchase fits your cash flow for the next {months} months.',
+        'forecast.negative': 'With the purchase your balance would go negative ({amount} on {date}).',
+        'forecast.simulation': 'Simulation: {installments}x {amount}',
+        'forecast.lowestWithPurchase': 'Lowest balance with the purchase',
+        'forecast.finalWithPurchase': 'Final balance with the purchase',
+        'forecast.monthly': 'Month by month',
+        'forecast.finalBalance': 'Final balance: {amount}',
+
+        'reports.title': 'Reports',
+        'reports.intro': 'Choose the period to analyze.',
+        'reports.thisYear': 'This year',
+        'reports.monthlyTitle': 'Income vs Expenses',
+        'reports.categoriesTitle': 'Expenses by Category',
+        'reports.trendTitle': 'Net Savings (12 months)',
+        'reports.topTitle': 'Top Expenses by Description',
+        'reports.month': 'Month',
+        'reports.income': 'Income',
+        'reports.expenses': 'Expenses',
+        'reports.balance': 'Balance',
+        'reports.savings': 'Savings',
+        'reports.total': 'Total',
+        'reports.occurrences': 'Occurrences',
+        'reports.periodIncome': 'Income in the period',
+        'reports.periodExpenses': 'Expenses in the period',
+        'reports.netSavings': 'Net savings',
+        'reports.noTransactions': 'No transactions in the period.',
+        'reports.noExpenses': 'No expenses in the period.',
+        'reports.others': 'Others',
+        'reports.pngFailed': 'This browser could not generate the PNG image.',
+
+        'settings.title': 'Settings',
+        'settings.backupTitle': 'Export/Import',
+        'settings.backupIntro': 'Save or restore a backup of your data.',
+        'settings.backupPassphrase': 'Backup password (optional)',
+        'settings.exportJson': 'Export JSON',
+        'settings.importJson': 'Import JSON',
+        'settings.statementIntro': 'Add transactions from your bank statement.',
+        'settings.importStatement': 'Import Statement (OFX/CSV)',
+        'settings.accountsTitle': 'Accounts',
+        'settings.accountsIntro': 'Manage your accounts and credit cards.',
+        'settings.accountName': 'New account',
+        'settings.accountOpening': 'Opening balance (e.g. 1500.00)',
+        'settings.closingDay': 'Closing day',
+        'settings.dueDay': 'Due day',
+        'settings.paymentAccount': 'Pay statement with...',
+        'settings.addAccount': 'Add Account',
+        'settings.editOpening': 'Edit Opening Balance',
+        'settings.deleteAccount': 'Delete Account',
+        'settings.categoriesTitle': 'Categories',
+        'settings.categoriesIntro': 'Create categories to organize your transactions.',
+        'settings.categoryIcon': 'Icon',
+        'settings.categoryName': 'New category',
+        'settings.categoryColor': 'Color',
+        'settings.addCategory': 'Add Category',
+        'settings.deleteCategory': 'Delete Category',
+        'settings.budgetsTitle': 'Budgets',
+        'settings.budgetsIntro': 'Set a monthly spending limit, overall or per category, in {currency}.',
+        'settings.budgetGeneral': 'Overall (all expenses)',
+        'settings.budgetLimit': 'Limit',
+        'settings.budgetRollover': 'Roll over unspent balance',
+        'settings.addBudget': 'Add Budget',
+        'settings.deleteBudget': 'Delete Budget',
+        'settings.noBudgets': 'No budgets defined.',
+        'settings.rollover': 'rollover',
+        'settings.recurringTitle': 'Recurring Transactions',
+        'settings.recurringIntro': 'View, edit and delete recurring income and expense rules.',
+        'settings.noRecurring': 'No recurring rules.',
+        'settings.preferencesTitle': 'Language and Currency',
+        'settings.preferencesIntro': 'Totals, balances, budgets and reports are converted to the base currency.',
+        'settings.language': 'Language',
+        'settings.weekStart': 'Week starts on',
+        'settings.baseCurrency': 'Base currency',
+        'settings.ratesIntro': 'Exchange rates used for conversion:',
+        'settings.ratePlaceholder': 'Rate',
+        'settings.aboutTitle': 'About',
+        'settings.madeBy': 'made with ❤️ by',
+
+        'settings.historyTitle': 'Change History',
+        'settings.historyIntro': 'Undo or redo your latest actions (Ctrl+Z / Ctrl+Shift+Z) or bring your data back to any point in the list.',
+        'history.undo': 'Undo',
+        'history.redo': 'Redo',
+        'history.empty': 'No changes recorded.',
+        'history.records': '{count} record(s)',
+        'history.restore': 'Restore this state',
+        'history.restoreConfirm': 'Bring your data back to how it was on {date}? Later changes will be reverted (and this can be undone too).',
+        'history.actions.addTransaction': 'Transaction "{description}" added',
+        'history.actions.updateTransaction': 'Transaction "{description}" edited',
+        'history.actions.deleteTransaction': 'Transaction "{description}" deleted',
+        'history.actions.addTransfer': 'Transfer "{description}" added',
+        'history.actions.updateTransfer': 'Transfer "{description}" edited',
+        'history.actions.deleteTransfer': 'Transfer "{description}" deleted',
+        'history.actions.addRecurring': 'Rule "{description}" added',
+        'history.actions.updateRecurring': 'Rule "{description}" edited',
+        'history.actions.deleteRecurring': 'Rule "{description}" deleted',
+        'history.actions.skipOccurrence': 'Installment of "{description}" skipped',
+        'history.actions.unskipOccurrence': 'Installment of "{description}" resumed',
+        'history.actions.payEarly': 'Installment of "{description}" paid early',
+        'history.actions.markPaid': '"{description}" marked as paid',
+        'history.actions.unmarkPaid': '"{description}" marked as unpaid',
+        'history.actions.addCategory': 'Category "{name}" added',
+        'history.actions.deleteCategory': 'Category "{name}" deleted',
+        'history.actions.addBudget': 'Budget "{name}" added',
+        'history.actions.deleteBudget': 'Budget "{name}" deleted',
+        'history.actions.addAccount': 'Account "{name}" added',
+        'history.actions.deleteAccount': 'Account "{name}" deleted',
+        'history.actions.editOpeningBalance': 'Opening balance of "{name}" changed',
+        'history.actions.updatePreferences': 'Language and currency changed',
+        'history.actions.saveFilter': 'Search "{name}" saved',
+        'history.actions.deleteFilter': 'Search "{name}" deleted',
+        'history.actions.importStatement': '{count} transaction(s) imported from a statement',
+        'history.actions.mergeBackup': 'Backup merged',
+        'history.actions.replaceBackup': 'Data replaced by a backup',
+        'history.actions.restoreState': 'Data restored to {date}',
+        'history.actions.sync': 'Changes from other devices synced',
+        'history.actions.resolveConflict': 'Conflict on "{name}" resolved with the other version',
+        'history.actions.undo': 'Undone: {action}',
+        'history.actions.redo': 'Redone: {action}',
+
+        'settings.syncTitle': 'Sync',
+        'settings.syncIntro': 'Keep the same data on several devices through a WebDAV folder (Nextcloud, ownCloud...) or your own REST server. The address and credentials are only stored on this device.',
+        'sync.transport': 'Server',
+        'sync.transports.none': 'Off',
+        'sync.transports.webdav': 'WebDAV folder',
+        'sync.transports.rest': 'REST server',
+        'sync.url': 'Address (WebDAV folder or document URL)',
+        'sync.username': 'User (WebDAV)',
+        'sync.secret': 'Password or token',
+        'sync.now': 'Sync now',
+        'sync.status.disabled': 'Sync is off.',
+        'sync.status.never': 'Not synced yet.',
+        'sync.status.idle': 'Synced on {date}.',
+        'sync.status.syncing': 'Syncing...',
+        'sync.status.offline': 'Offline: changes are queued and will be sent when the connection is back.',
+        'sync.status.error': 'Sync failed: {message}',
+        'sync.pending': '{count} change(s) queued.',
+        'sync.errors.network': 'could not reach the server.',
+        'sync.errors.http': 'the server answered with status {status}.',
+        'sync.errors.format': 'the document on the server is not a Finix sync file.',
+        'sync.errors.newerVersion': 'the document on the server was written by a newer version of Finix.',
+        'sync.errors.busy': 'another device is writing at the same time. Try again in a moment.',
+        'sync.conflictsIntro': 'Conflicts: records changed both here and on another device since the last sync. The latest change won; review it and switch to the other version if you prefer.',
+        'sync.noConflicts': 'No pending conflicts.',
+        'sync.conflictsFound': '{count} sync conflict(s)',
+        'sync.review': 'Review',
+        'sync.kept.local': 'Kept this device\'s version ({kept}); the other device\'s version ({discarded}) was discarded.',
+        'sync.kept.remote': 'Kept the other device\'s version ({kept}); this device\'s version ({discarded}) was discarded.',
+        'sync.deleted': 'deleted',
+        'sync.useDiscarded': 'Use the discarded version',
+        'sync.dismiss': 'Keep as is',
+        'sync.collections.transactions': 'Transaction',
+        'sync.collections.recurringExpenses': 'Recurring rule',
+        'sync.collections.accounts': 'Account',
+        'sync.collections.categories': 'Category',
+        'sync.collections.budgets': 'Budget',
+        'sync.collections.savedFilters': 'Saved search',
+        'sync.collections.preferences': 'Preferences',
+
+        'backup.invalidJson': 'The selected file is not valid JSON.',
+        'backup.newerVersion': 'This backup was created by a newer version of Finix.',
+        'backup.wrongPassphrase': 'Wrong password or corrupted file.',
+        'backup.checksumMismatch': 'Checksum mismatch: the file is corrupted.',
+        'backup.exportFailed': 'This browser could not generate the backup.',
+        'backup.restored': 'Data imported successfully!',
+        'backup.protectedSuffix': '_protected',
+        'restore.title': 'Restore Backup',
+        'restore.protected': 'This backup is password protected.',
+        'restore.passphrase': 'Password',
+        'restore.decrypt': 'Decrypt',
+        'restore.checking': 'Checking file...',
+        'restore.backup': 'Backup',
+        'restore.backupCreated': 'Backup created on {date}',
+        'restore.encrypted': '(encrypted)',
+        'restore.merge': 'Merge',
+        'restore.replace': 'Replace everything',
+        'restore.mergeHint': 'Records with the same id are updated; those that only exist on this device are kept.',
+        'restore.replaceHint': 'All current data will be erased and replaced by the backup.',
+        'restore.replaceConfirm': 'Are you sure? All your current data will be replaced.',
+        'restore.summary': 'Summary',
+        'restore.mergeDetail': '{added} new, {updated} updated, {untouched} unchanged',
+        'restore.replaceDetail': '{added} new, {updated} updated, {removed} removed, {untouched} unchanged',
+        'restore.collections.transactions': 'Transactions',
+        'restore.collections.recurringExpenses': 'Recurring rules',
+        'restore.collections.accounts': 'Accounts',
+        'restore.collections.categories': 'Categories',
+        'restore.collections.budgets': 'Budgets',
+
+        'statement.title': 'Import Statement',
+        'statement.intro': 'Import OFX/QFX or CSV files exported by your bank. The transactions will be added to the existing ones.',
+        'statement.account': 'Destination Account',
+        'statement.chooseFile': 'Choose File',
+        'statement.columnsTitle': 'CSV Columns',
+        'statement.lines': '{count} line(s)',
+        'statement.column': 'Column {number}',
+        'statement.delimiters.semicolon': 'Delimiter: semicolon',
+        'statement.delimiters.comma': 'Delimiter: comma',
+        'statement.delimiters.tab': 'Delimiter: tab',
+        'statement.hasHeader': 'The first line is the header',
+        'statement.amounts': 'Amounts',
+        'statement.singleColumn': 'One column (negative = expense)',
+        'statement.splitColumns': 'Separate debit and credit columns',
+        'statement.debitCredit': 'Debit / Credit',
+        'statement.decimalComma': 'Uses a comma as the decimal separator (e.g. 1.234,56)',
+        'statement.preview': 'Preview',
+        'statement.previewTitle': 'Preview',
+        'statement.previewSummary': '{count} new, {duplicates} possible duplicate(s)',
+        'statement.skippedRows': '{count} line(s) skipped due to an invalid date or amount',
+        'statement.duplicate': 'duplicate',
+        'statement.importCount': 'Import {count}',
+        'statement.imported': '{count} transaction(s) imported successfully!',
+        'statement.noDescription': 'No description'
+    }
+};
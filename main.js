@@ -5,7 +5,8 @@
  */
 document.addEventListener('DOMContentLoaded', () => {
     const app = new FinanceApp();
-    app.init();
+    // Uma falha na abertura (migração, gravação inicial) não pode deixar o app sem aviso
+    app.init().catch(err => { console.error('Erro ao iniciar o app:', err); alert(tr('storage.openFailed')); });
 });
 
 class FinanceApp {
@@ -13,21 +14,37 @@ class FinanceApp {
         this.state = {
             transactions: [],
             recurringExpenses: [],
+            categories: DEFAULT_CATEGORIES.map(c => ({ ...c })),
+            budgets: [],
+            accounts: [{ ...DEFAULT_ACCOUNT }],
+            preferences: { ...DEFAULT_PREFERENCES, exchangeRates: {} },
+            savedFilters: [],
+            tombstones: [],
             calendarDate: new Date(),
             selectedDate: new Date(),
             activeModal: null
         };
-        this.dataManager = new DataManager('finixPWAData_v11');
+        this.dataManager = new DataManager('finixPWA', 'finixPWAData_v11');
+        this.history = new ActionHistory(this.dataManager, HISTORY_LIMIT);
+        this.sync = new SyncManager(this.dataManager);
+        this.syncTimer = null;
+        this.dateIndex = new DateIndex([]);
         this.calendarView = new CalendarView('#calendar-container');
-        this.dayDetailsView = new DayDetailsView('#day-details-container', (id) => this.deleteTransaction(id));
+        this.dayDetailsView = new DayDetailsView('#day-details-container', (id) => this.deleteTransaction(id), (id) => this.getCategory(id), (id) => this.modalManager.openEditTransaction(id), (id) => this.togglePaid(id));
+        this.upcomingBillsView = new UpcomingBillsView('#upcoming-container', (id) => this.togglePaid(id), () => this.requestNotificationPermission());
+        this.budgetView = new BudgetView('#budget-container', (budget, date) => this.getBudgetStatus(budget, date), (id) => this.getCategory(id));
         this.modalManager = new ModalManager(this, '#modal-container');
+        this.snackbarView = new SnackbarView('#snackbar');
         this.navView = new NavView(this);
     }
-    init() {
-        this.state = this.dataManager.load(this.state);
-        // CORREÇÃO: Garante que o app nunca inicie com um modal aberto.
-        this.state.activeModal = null;
+    async init() {
+        this.state = await this.dataManager.load(this.state);
+        await this.history.load();
+        await this.sync.load();
+        applyPreferences(this.state.preferences);
         this.applyAndSortRecurring();
+        // As parcelas projetadas na abertura são gravadas agora para não entrarem no histórico da primeira ação
+        this.dataManager.save(this.state);
         this.navView.bindEvents();
         this.calendarView.bindEvents(
             (date) => this.setSelectedDate(date),
@@ -35,11 +52,32 @@ class FinanceApp {
         );
         this.ui.render();
         this.registerServiceWorker();
+        // Aberto por uma notificação com o app fechado: ?day=AAAA-MM-DD&tx=ID[&action=paid]
+        const params = new URLSearchParams(window.location.search);
+        if (params.has('day')) {
+            this.openBill({ date: params.get('day'), id: params.get('tx'), action: params.get('action') });
+            history.replaceState(null, '', window.location.pathname);
+        }
+        this.checkReminders();
+        document.addEventListener('visibilitychange', () => { if (document.visibilityState === 'visible') { this.checkReminders(); this.syncNow(); } });
+        // Alterações feitas sem conexão ficam na fila e são enviadas quando a conexão volta
+        window.addEventListener('online', () => this.syncNow());
+        window.addEventListener('offline', () => { this.sync.status = 'offline'; this.modalManager.renderSyncStatus(); });
+        this.syncNow();
     }
     ui = {
         render: () => {
-            this.calendarView.render(this.state);
-            this.dayDetailsView.render(this.state);
+            // O índice por data é refeito a cada renderização, que acontece depois de toda alteração
+            this.dateIndex = new DateIndex(this.state.transactions);
+            // Faturas de cartão são derivadas das compras e não são persistidas
+            const invoices = this.getInvoices();
+            const { calendarDate } = this.state;
+            const monthDays = this.projectBalances(new Date(calendarDate.getFullYear(), calendarDate.getMonth(), 1), new Date(calendarDate.getFullYear(), calendarDate.getMonth() + 1, 0, 12), [], invoices);
+            const viewState = { ...this.state, invoices, dateIndex: this.dateIndex, dailyBalances: new Map(monthDays.map(d => [dateKey(d.date), d.balance])) };
+            this.calendarView.render(viewState);
+            this.dayDetailsView.render(viewState);
+            this.upcomingBillsView.render(this.getUpcomingBills(), 'Notification' in window ? Notification.permission : 'unsupported');
+            this.budgetView.render(this.state);
             this.modalManager.render();
             // Atualiza o título principal dinamicamente
             document.getElementById('main-title').textContent = this.state.activeModal ? '' : 'Finix';
@@ -60,128 +98,1367 @@ class FinanceApp {
         this.dataManager.save(this.state);
         this.ui.render();
     }
+    getCategory(id) {
+        return this.state.categories.find(c => c.id === id) || this.state.categories.find(c => c.id === UNCATEGORIZED_ID);
+    }
+    getAllTags() {
+        const tags = new Set();
+        this.state.transactions.forEach(t => t.tags.forEach(tag => tags.add(tag)));
+        this.state.recurringExpenses.forEach(r => r.tags.forEach(tag => tags.add(tag)));
+        return [...tags].sort((a, b) => a.localeCompare(b));
+    }
+    getAccount(id) {
+        return this.state.accounts.find(a => a.id === id) || this.state.accounts[0];
+    }
+    searchTransactions(filter) {
+        // O período é resolvido pelo índice de datas; os demais critérios só olham as transações dentro dele
+        const candidates = this.dateIndex.between(filter.start ? parseDateKey(filter.start) : null, filter.end ? parseDateKey(filter.end, true) : null);
+        const text = filter.text.trim().toLowerCase();
+        const min = parseFloat(filter.minAmount); const max = parseFloat(filter.maxAmount);
+        return candidates.filter(t => {
+            // Faixa de valor sem sinal e na moeda base: o tipo já separa receitas de despesas
+            const amount = Math.abs(toBase(t.amount, t.currency));
+            return t.description.toLowerCase().includes(text)
+                && (!filter.categoryId || t.categoryId === filter.categoryId)
+                && (!filter.tag || t.tags.includes(filter.tag))
+                && (!filter.accountId || t.accountId === filter.accountId)
+                && (!filter.type || getTransactionType(t) === filter.type)
+                && (!filter.origin || (filter.origin === 'recurring') === !!t.recurringId)
+                && (isNaN(min) || amount >= min) && (isNaN(max) || amount <= max);
+        }).sort(TRANSACTION_SORTS[filter.sort] || TRANSACTION_SORTS[DEFAULT_TRANSACTION_FILTER.sort]);
+    }
+    saveTransactionFilter(name, filter) {
+        name = name.trim();
+        if (!name) return;
+        // Uma busca salva com o mesmo nome é substituída
+        this.state.savedFilters = [...this.state.savedFilters.filter(f => f.name.toLowerCase() !== name.toLowerCase()), { id: Date.now(), name, filter: { ...filter } }];
+        this.saveAction('saveFilter', { name });
+        this.modalManager.renderSavedFilters();
+    }
+    deleteTransactionFilter(id) {
+        const saved = this.state.savedFilters.find(f => f.id === id);
+        if (!saved) return;
+        this.state.savedFilters = this.state.savedFilters.filter(f => f !== saved);
+        this.saveAction('deleteFilter', { name: saved.name });
+        this.modalManager.renderSavedFilters();
+    }
+    recordChanges(action, params = {}, of = null, stamp = true) {
+        // O que mudou desde a última gravação vira uma entrada do histórico, gravada junto com os dados.
+        // Registros vindos da sincronização já trazem o `updatedAt` do aparelho de origem e não são carimbados de novo.
+        if (stamp) this.sync.stamp(this.state, this.dataManager.snapshot);
+        const serialized = this.dataManager.serialize(this.state);
+        const entry = this.history.record({ action, params, of }, this.dataManager.diff(serialized));
+        this.dataManager.save(this.state, serialized);
+        if (stamp && entry) this.scheduleSync();
+        return entry;
+    }
+    saveAction(action, params = {}) {
+        // Toda alteração feita pelo usuário passa por aqui e pode ser desfeita; uma nova ação descarta o que havia para refazer
+        const entry = this.recordChanges(action, params);
+        if (!entry) return;
+        this.history.undoStack.push(entry);
+        this.history.redoStack = [];
+        if (DESTRUCTIVE_ACTIONS.includes(action)) this.snackbarView.show(describeHistoryEntry(entry), tr('history.undo'), () => this.undo());
+        else this.snackbarView.hide();
+        this.modalManager.renderHistoryList();
+    }
+    applyChanges(changes, side) {
+        // Volta cada registro alterado para a versão `before` (desfazer) ou `after` (refazer); sem versão, o registro é removido
+        const stores = { transactions: new Map(this.state.transactions.map(t => [t.id, t])), recurringExpenses: new Map(this.state.recurringExpenses.map(r => [r.id, r])) };
+        changes.forEach(change => {
+            const record = change[side] === null ? null : JSON.parse(change[side]);
+            if (change.store === 'settings') { if (record) this.state[record.key] = record.value; }
+            else if (record) stores[change.store].set(change.id, change.store === 'transactions' ? { ...record, date: new Date(record.date) } : record);
+            else stores[change.store].delete(change.id);
+        });
+        this.state.recurringExpenses = [...stores.recurringExpenses.values()];
+        // Parcelas projetadas depois da ação desfeita não têm mais regra e também saem
+        const ruleIds = new Set(this.state.recurringExpenses.map(r => r.id));
+        this.state.transactions = [...stores.transactions.values()].filter(t => !t.recurringId || ruleIds.has(t.recurringId));
+        applyPreferences(this.state.preferences);
+        this.applyAndSortRecurring();
+        // O item aberto para edição pode não existir mais
+        if (['edit-tx', 'edit-recurring'].includes(this.state.activeModal)) this.modalManager.close();
+    }
+    undo() {
+        const entry = this.history.undoStack.pop();
+        if (!entry) return;
+        this.applyChanges(entry.changes, 'before');
+        this.history.redoStack.push(entry);
+        const undone = this.recordChanges('undo', {}, entry);
+        this.ui.render();
+        if (undone) this.snackbarView.show(describeHistoryEntry(undone), tr('history.redo'), () => this.redo());
+    }
+    redo() {
+        const entry = this.history.redoStack.pop();
+        if (!entry) return;
+        this.applyChanges(entry.changes, 'after');
+        this.history.undoStack.push(entry);
+        const redone = this.recordChanges('redo', {}, entry);
+        this.ui.render();
+        if (redone) this.snackbarView.show(describeHistoryEntry(redone), tr('history.undo'), () => this.undo());
+    }
+    restoreHistoryEntry(id) {
+        const { entries } = this.history;
+        const index = entries.findIndex(e => e.id === id);
+        if (index === -1 || index === entries.length - 1) return;
+        const target = entries[index];
+        if (!confirm(tr('history.restoreConfirm', { date: new Date(target.date).toLocaleString(i18n.locale) }))) return;
+        // Desfaz, da mais recente para a mais antiga, tudo o que foi feito depois da entrada escolhida; a restauração também pode ser desfeita
+        entries.slice(index + 1).reverse().forEach(entry => this.applyChanges(entry.changes, 'before'));
+        this.saveAction('restoreState', { date: target.date });
+        this.ui.render();
+    }
+    scheduleSync() {
+        // Várias alterações seguidas vão juntas para o servidor
+        clearTimeout(this.syncTimer);
+        if (this.sync.isConfigured()) this.syncTimer = setTimeout(() => this.syncNow(), SYNC_DELAY);
+    }
+    async syncNow() {
+        const { sync } = this;
+        if (!sync.isConfigured() || sync.running) return;
+        clearTimeout(this.syncTimer);
+        if (!navigator.onLine) {
+            sync.status = 'offline';
+            this.modalManager.renderSyncStatus();
+            return;
+        }
+        sync.running = true; sync.status = 'syncing'; sync.error = '';
+        this.modalManager.renderSyncStatus();
+        try {
+            const transport = sync.createTransport();
+            for (let attempt = 1; ; attempt++) {
+                const { remoteDoc, etag } = await transport.read();
+                const result = sync.merge(this.state, remoteDoc);
+                if (await transport.write(result.remoteDoc, etag)) { this.applySyncResult(result); break; }
+                // Outro aparelho gravou entre a leitura e a escrita: mescla de novo com a versão dele
+                if (attempt >= SYNC_MAX_ATTEMPTS) throw new Error(tr('sync.errors.busy'));
+            }
+            sync.status = 'idle';
+        } catch (err) {
+            console.error('Erro ao sincronizar:', err);
+            sync.status = 'error'; sync.error = err.message;
+        } finally {
+            sync.running = false;
+            this.modalManager.renderSyncStatus();
+        }
+    }
+    applySyncResult(result) {
+        const { entries, conflicts } = result;
+        // Registros alterados aqui enquanto a sincronização estava em andamento mantêm a versão local e seguem na fila
+        const local = SyncManager.localEntries(this.state);
+        const merged = new Map(entries);
+        this.sync.touched.forEach(key => { if (local.has(key)) merged.set(key, local.get(key)); else merged.delete(key); });
+        const records = Object.fromEntries(SyncManager.COLLECTIONS.map(collection => [collection, []])); const tombstones = [];
+        merged.forEach(({ collection, id, record, deletedAt }) => { if (record) records[collection].push(record); else tombstones.push({ collection, id, deletedAt }); });
+        const { id, ...preferences } = records.preferences[0] || this.state.preferences;
+        Object.assign(this.state, { ...records, preferences, tombstones });
+        this.state.transactions.forEach(t => t.date = new Date(t.date));
+        const ruleIds = new Set(this.state.recurringExpenses.map(r => r.id));
+        this.state.transactions = this.state.transactions.filter(t => !t.recurringId || ruleIds.has(t.recurringId));
+        applyPreferences(this.state.preferences);
+        this.applyAndSortRecurring();
+        this.sync.commit(result);
+        if (this.recordChanges('sync', { conflicts: conflicts.length }, null, false)) this.modalManager.renderHistoryList();
+        this.ui.render();
+        if (conflicts.length) this.snackbarView.show(tr('sync.conflictsFound', { count: conflicts.length }), tr('sync.review'), () => this.modalManager.open('settings'));
+    }
+    configureSync(config) {
+        this.sync.configure(config);
+        this.modalManager.renderSyncStatus();
+        this.syncNow();
+    }
+    useConflictVersion(conflictId) {
+        // A versão descartada volta como uma alteração nova deste aparelho e vai para os demais na próxima sincronização
+        const conflict = this.sync.removeConflict(conflictId);
+        if (!conflict) return;
+        const { collection, recordId, discardedRecord } = conflict;
+        if (collection === 'preferences') {
+            const { id, ...preferences } = discardedRecord || this.state.preferences;
+            this.state.preferences = preferences;
+            applyPreferences(preferences);
+        } else {
+            const others = this.state[collection].filter(r => String(r.id) !== recordId);
+            this.state[collection] = discardedRecord ? [...others, collection === 'transactions' ? { ...discardedRecord, date: new Date(discardedRecord.date) } : discardedRecord] : others;
+            const ruleIds = new Set(this.state.recurringExpenses.map(r => r.id));
+            this.state.transactions = this.state.transactions.filter(t => !t.recurringId || ruleIds.has(t.recurringId));
+        }
+        this.applyAndSortRecurring();
+        this.saveAction('resolveConflict', { name: describeSyncRecord(conflict, (id) => this.getCategory(id)) });
+        this.ui.render();
+    }
+    dismissConflict(conflictId) {
+        this.sync.removeConflict(conflictId);
+        this.modalManager.renderSyncConflicts();
+    }
     addTransaction(txData) {
         if (!txData.description || isNaN(txData.amount)) return;
-        this.state.transactions.push({ id: Date.now(), ...txData, recurringId: null });
+        const tx = { id: Date.now(), categoryId: UNCATEGORIZED_ID, tags: [], accountId: this.state.accounts[0].id, ...txData, recurringId: null };
+        // Sem moeda informada, vale a moeda da conta
+        tx.currency = tx.currency || this.getAccount(tx.accountId).currency;
+        if (!this.ensureExchangeRate(tx.currency) || !this.confirmBudgetImpact(toBase(tx.amount, tx.currency), tx.categoryId, tx.date)) return;
+        this.state.transactions.push(tx);
         this.applyAndSortRecurring();
-        this.dataManager.save(this.state);
+        this.saveAction('addTransaction', { description: tx.description });
         this.ui.render();
         this.modalManager.close();
     }
+    findTransaction(id) {
+        // Ids vindos do DOM são strings; parcelas antigas podem ter ids fracionários
+        return this.state.transactions.find(t => String(t.id) === String(id));
+    }
     deleteTransaction(id) {
-        const tx = this.state.transactions.find(t => t.id === id);
+        const tx = this.findTransaction(id);
         if (!tx) return;
         if (tx.recurringId) {
-            alert('Transações recorrentes devem ser removidas pela regra em "Configurações".');
+            alert(tr('transactions.recurringDelete'));
             return;
         }
-        if (!confirm(`Deseja realmente excluir a transação "${tx.description}"?`)) return;
-        this.state.transactions = this.state.transactions.filter(t => t.id !== id);
-        this.dataManager.save(this.state);
+        if (tx.transferId) {
+            // Uma transferência é composta por duas transações: ambas são removidas juntas
+            if (!confirm(tr('transfers.deleteConfirm', { description: tx.description }))) return;
+            this.state.transactions = this.state.transactions.filter(t => t.transferId !== tx.transferId);
+        } else {
+            if (!confirm(tr('transactions.deleteConfirm', { description: tx.description }))) return;
+            this.state.transactions = this.state.transactions.filter(t => t !== tx);
+        }
+        this.saveAction(tx.transferId ? 'deleteTransfer' : 'deleteTransaction', { description: tx.description });
         this.ui.render();
     }
     addRecurringExpense(recurData) {
-        if (recurData.amount > 0) recurData.amount = -recurData.amount;
-        if (!recurData.description || isNaN(recurData.amount) || isNaN(recurData.day) || isNaN(recurData.installments)) return;
-        this.state.recurringExpenses.push({ id: Date.now(), ...recurData, appliedCount: 0 });
+        if (!recurData.description || isNaN(recurData.amount) || isNaN(recurData.day) || (recurData.installments !== null && !(recurData.installments >= 1))) return;
+        const rule = { id: Date.now(), categoryId: UNCATEGORIZED_ID, tags: [], accountId: this.state.accounts[0].id, frequency: 'monthly', dayMode: 'fixed', weekendAdjustment: 'none', ...recurData };
+        rule.currency = rule.currency || this.getAccount(rule.accountId).currency;
+        if (!this.ensureExchangeRate(rule.currency) || !this.confirmBudgetImpact(toBase(rule.amount, rule.currency), rule.categoryId, new Date())) return;
+        // A primeira ocorrência é a primeira que cai a partir da data informada
+        const start = rule.startDate || new Date();
+        const firstDay = new Date(start.getFullYear(), start.getMonth(), start.getDate(), 12, 0, 0);
+        rule.startDate = getPeriodStart(rule.frequency, firstDay).toISOString();
+        if (getOccurrenceDate(rule, 1) < firstDay) rule.startDate = getOccurrenceDate({ ...rule, dayMode: 'fixed', day: 1, weekendAdjustment: 'none' }, 2).toISOString();
+        this.state.recurringExpenses.push(rule);
         this.applyAndSortRecurring();
-        this.dataManager.save(this.state);
+        this.saveAction('addRecurring', { description: rule.description });
+        this.ui.render();
+        this.modalManager.close();
+    }
+    updateTransaction(id, changes, scope = 'single') {
+        const tx = this.findTransaction(id);
+        if (!tx || !changes.description || isNaN(changes.amount) || isNaN(changes.date)) return;
+        if (changes.currency && !this.ensureExchangeRate(changes.currency)) return;
+        if (tx.transferId) {
+            // As duas pernas da transferência são editadas juntas; o valor informado está na moeda da perna editada
+            const amount = Math.abs(changes.amount);
+            this.state.transactions.filter(t => t.transferId === tx.transferId).forEach(t => Object.assign(t, { date: changes.date, description: changes.description, amount: (t.amount < 0 ? -1 : 1) * convertAmount(amount, tx.currency, t.currency) }));
+        } else if (!tx.recurringId) {
+            Object.assign(tx, changes);
+        } else {
+            const rule = this.state.recurringExpenses.find(r => r.id === tx.recurringId);
+            if (scope === 'single' || !rule) Object.assign(tx, changes, { overridden: true });
+            else if (scope === 'future' && tx.installment > 1) this.splitRecurringRule(rule, tx, changes);
+            else this.updateRecurringSeries(rule, { ...pickRuleFields(changes), ...getRescheduleChanges(rule, getOccurrenceDate(rule, tx.installment), changes.date) });
+        }
+        this.applyAndSortRecurring();
+        this.saveAction(tx.transferId ? 'updateTransfer' : 'updateTransaction', { description: changes.description });
+        this.ui.render();
+        this.modalManager.close();
+    }
+    updateRecurringSeries(rule, changes) {
+        Object.assign(rule, changes);
+        // Parcelas editadas individualmente (inclusive as antecipadas) são preservadas; das demais, as além do novo total são removidas e o restante segue a regra
+        this.state.transactions = this.state.transactions.filter(t => t.recurringId !== rule.id || rule.installments === null || t.installment <= rule.installments || t.paidEarly || t.overridden);
+        this.state.transactions.forEach(t => {
+            if (t.recurringId !== rule.id || t.overridden) return;
+            Object.assign(t, pickRuleFields(rule), { tags: [...rule.tags], date: getOccurrenceDate(rule, t.installment) });
+        });
+    }
+    splitRecurringRule(rule, tx, changes) {
+        // "Esta e as próximas": a regra original termina na parcela anterior e uma nova regra assume o restante
+        const remaining = rule.installments === null ? null : rule.installments - (tx.installment - 1);
+        this.state.transactions = this.state.transactions.filter(t => t.recurringId !== rule.id || t.installment < tx.installment);
+        this.updateRecurringSeries(rule, { installments: tx.installment - 1 });
+        const newRule = { ...rule, ...pickRuleFields(changes), tags: [...changes.tags], id: Date.now(), installments: remaining, startDate: getPeriodStart(rule.frequency, changes.date).toISOString() };
+        if (newRule.dayMode === 'fixed') newRule.day = changes.date.getDate();
+        this.state.recurringExpenses.push(newRule);
+    }
+    updateRecurringRule(id, changes) {
+        const rule = this.state.recurringExpenses.find(r => r.id === id);
+        if (!rule || !changes.description || isNaN(changes.amount) || isNaN(changes.day) || (changes.remainingInstallments !== null && isNaN(changes.remainingInstallments))) return;
+        if (!this.ensureExchangeRate(changes.currency)) return;
+        // Parcelas já vencidas ou antecipadas são mantidas; o usuário informa quantas ainda faltam
+        const { remainingInstallments, ...ruleChanges } = changes;
+        const installments = remainingInstallments === null ? null : this.findLastInstallment({ ...rule, ...ruleChanges }, Math.max(0, remainingInstallments));
+        this.updateRecurringSeries(rule, { ...ruleChanges, installments });
+        this.applyAndSortRecurring();
+        this.saveAction('updateRecurring', { description: rule.description });
+        this.ui.render();
+        this.modalManager.close();
+    }
+    findLastInstallment(rule, remaining) {
+        // As parcelas restantes são contadas entre as em aberto: uma parcela antecipada não ocupa a vaga de uma futura
+        const isSettled = this.getSettledCheck(rule);
+        let last = 0;
+        for (let left = remaining; ; last++) {
+            if (isSettled(last + 1)) continue;
+            if (left === 0) return last;
+            left--;
+        }
+    }
+    countOpenInstallments(rule) {
+        const isSettled = this.getSettledCheck(rule);
+        let open = 0;
+        for (let installment = 1; installment <= rule.installments; installment++) if (!isSettled(installment)) open++;
+        return open;
+    }
+    getSettledCheck(rule) {
+        // Vencidas ou antecipadas; parcelas além do horizonte projetado ainda não existem e são avaliadas pela regra
+        const today = new Date();
+        const occurrences = new Map(this.state.transactions.filter(t => t.recurringId === rule.id).map(t => [t.installment, t]));
+        return (installment) => { const tx = occurrences.get(installment); return tx ? !!tx.paidEarly || new Date(tx.date) <= today : getOccurrenceDate(rule, installment) <= today; };
+    }
+    countSettledOccurrences(ruleId) {
+        const today = new Date();
+        return this.state.transactions.filter(t => t.recurringId === ruleId && (t.paidEarly || new Date(t.date) <= today)).length;
+    }
+    toggleSkipOccurrence(id) {
+        const tx = this.findTransaction(id);
+        if (!tx || !tx.recurringId) return;
+        // Parcelas puladas continuam no histórico, mas não entram em totais e saldos
+        tx.skipped = !tx.skipped;
+        this.saveAction(tx.skipped ? 'skipOccurrence' : 'unskipOccurrence', { description: tx.description });
+        this.ui.render();
+        this.modalManager.close();
+    }
+    payOccurrenceEarly(id) {
+        const tx = this.findTransaction(id);
+        if (!tx || !tx.recurringId || tx.paidEarly) return;
+        const today = new Date();
+        Object.assign(tx, { originalDate: new Date(tx.date), date: new Date(today.getFullYear(), today.getMonth(), today.getDate(), 12, 0, 0), paidEarly: true, overridden: true, skipped: false });
+        this.applyAndSortRecurring();
+        this.saveAction('payEarly', { description: tx.description });
+        this.ui.render();
+        this.modalManager.close();
+    }
+    addTransfer(transferData) {
+        const amount = Math.abs(transferData.amount);
+        if (isNaN(amount) || amount === 0) return;
+        if (transferData.fromAccountId === transferData.toAccountId) { alert(tr('transfers.sameAccount')); return; }
+        const from = this.getAccount(transferData.fromAccountId);
+        const to = this.getAccount(transferData.toAccountId);
+        if (!this.ensureExchangeRate(from.currency) || !this.ensureExchangeRate(to.currency)) return;
+        const transferId = Date.now();
+        const base = { date: transferData.date, description: transferData.description || tr('transfers.defaultDescription', { from: from.name, to: to.name }), categoryId: UNCATEGORIZED_ID, tags: [], recurringId: null, transferId };
+        // O valor é informado na moeda da conta de origem e convertido para a de destino.
+        // Os ids das duas pernas derivam do id da transferência: `transferId + 1` poderia ser o id da próxima transação.
+        this.state.transactions.push(
+            { id: `${transferId}-out`, ...base, accountId: from.id, currency: from.currency, amount: -amount },
+            { id: `${transferId}-in`, ...base, accountId: to.id, currency: to.currency, amount: convertAmount(amount, from.currency, to.currency) }
+        );
+        this.applyAndSortRecurring();
+        this.saveAction('addTransfer', { description: base.description });
         this.ui.render();
         this.modalManager.close();
     }
     deleteRecurringExpense(id) {
-        if (!confirm('Deseja remover esta regra e TODAS as suas transações?')) return;
+        const rule = this.state.recurringExpenses.find(r => r.id === id);
+        if (!rule || !confirm(tr('recurring.deleteConfirm'))) return;
         this.state.transactions = this.state.transactions.filter(t => t.recurringId !== id);
-        this.state.recurringExpenses = this.state.recurringExpenses.filter(exp => exp.id !== id);
-        this.dataManager.save(this.state);
+        this.state.recurringExpenses = this.state.recurringExpenses.filter(exp => exp !== rule);
+        this.saveAction('deleteRecurring', { description: rule.description });
         this.ui.render();
         this.modalManager.renderRecurringList();
     }
-    importData(jsonString) {
-        try {
-            const importedData = JSON.parse(jsonString);
-            if (!confirm('Tem certeza? Todos os seus dados atuais serão substituídos.')) return;
-            const loadedState = this.dataManager.load(importedData);
-            this.state.transactions = loadedState.transactions || [];
-            this.state.recurringExpenses = loadedState.recurringExpenses || [];
-            this.applyAndSortRecurring();
-            this.dataManager.save(this.state);
-            this.ui.render();
-            this.modalManager.close();
-            alert('Dados importados com sucesso!');
-        } catch (err) { console.error("Erro ao importar:", err); alert('Erro: O arquivo selecionado não é um JSON válido.'); }
+    addCategory(catData) {
+        const name = catData.name.trim();
+        if (!name) return;
+        if (this.state.categories.some(c => c.name.toLowerCase() === name.toLowerCase())) { alert(tr('categories.exists', { name })); return; }
+        this.state.categories.push({ id: `cat-${Date.now()}`, name, color: sanitizeColor(catData.color), icon: catData.icon.trim() || '🏷️' });
+        this.saveAction('addCategory', { name });
+        this.modalManager.renderCategoryList();
+    }
+    deleteCategory(id) {
+        if (id === UNCATEGORIZED_ID) return;
+        const category = this.state.categories.find(c => c.id === id);
+        if (!category || !confirm(tr('categories.deleteConfirm', { name: category.name }))) return;
+        // As transações e regras da categoria removida voltam para "Sem categoria"
+        this.state.transactions.forEach(t => { if (t.categoryId === id) t.categoryId = UNCATEGORIZED_ID; });
+        this.state.recurringExpenses.forEach(r => { if (r.categoryId === id) r.categoryId = UNCATEGORIZED_ID; });
+        this.state.budgets = this.state.budgets.filter(b => b.categoryId !== id);
+        this.state.categories = this.state.categories.filter(c => c.id !== id);
+        this.saveAction('deleteCategory', { name: category.name });
+        this.ui.render();
+        this.modalManager.renderCategoryList();
+    }
+    addBudget(budgetData) {
+        if (isNaN(budgetData.amount) || budgetData.amount <= 0) return;
+        const categoryId = budgetData.categoryId || null;
+        if (this.state.budgets.some(b => b.categoryId === categoryId)) { alert(tr('budgets.exists')); return; }
+        this.state.budgets.push({ id: Date.now(), categoryId, amount: budgetData.amount, rollover: !!budgetData.rollover, startMonth: monthKey(this.state.calendarDate) });
+        this.saveAction('addBudget', { name: categoryId ? this.getCategory(categoryId).name : tr('budgets.generalShort') });
+        this.ui.render();
+        this.modalManager.renderBudgetList();
+    }
+    deleteBudget(id) {
+        const budget = this.state.budgets.find(b => b.id === id);
+        if (!budget || !confirm(tr('budgets.deleteConfirm'))) return;
+        this.state.budgets = this.state.budgets.filter(b => b !== budget);
+        this.saveAction('deleteBudget', { name: budget.categoryId ? this.getCategory(budget.categoryId).name : tr('budgets.generalShort') });
+        this.ui.render();
+        this.modalManager.renderBudgetList();
+    }
+    getBudgetSpent(budget, year, month) {
+        return this.state.transactions.reduce((sum, t) => {
+            const date = new Date(t.date);
+            if (t.transferId || t.skipped || t.amount >= 0 || date.getFullYear() !== year || date.getMonth() !== month) return sum;
+            if (budget.categoryId && t.categoryId !== budget.categoryId) return sum;
+            return sum - toBase(t.amount, t.currency);
+        }, 0);
+    }
+    getBudgetStatus(budget, date) {
+        // O saldo não gasto é acumulado mês a mês desde o mês de criação do orçamento
+        const target = new Date(date.getFullYear(), date.getMonth(), 1);
+        const [startYear, startMonth] = budget.startMonth.split('-').map(Number);
+        const cursor = new Date(startYear, startMonth - 1, 1);
+        let carried = 0;
+        while (budget.rollover && cursor < target) {
+            const spent = this.getBudgetSpent(budget, cursor.getFullYear(), cursor.getMonth());
+            carried = Math.max(0, budget.amount + carried - spent);
+            cursor.setMonth(cursor.getMonth() + 1);
+        }
+        const limit = budget.amount + carried;
+        const spent = this.getBudgetSpent(budget, target.getFullYear(), target.getMonth());
+        return { limit, spent, carried, remaining: limit - spent, ratio: limit > 0 ? spent / limit : 1 };
+    }
+    confirmBudgetImpact(amount, categoryId, date) {
+        if (amount >= 0 || this.state.budgets.length === 0) return true;
+        const exceeded = this.state.budgets
+            .filter(b => !b.categoryId || b.categoryId === categoryId)
+            .map(b => ({ budget: b, status: this.getBudgetStatus(b, date) }))
+            .filter(({ status }) => status.spent - amount > status.limit);
+        if (exceeded.length === 0) return true;
+        const lines = exceeded.map(({ budget, status }) => tr('budgets.impactLine', { name: budget.categoryId ? this.getCategory(budget.categoryId).name : tr('budgets.general'), spent: formatCurrency(status.spent - amount), limit: formatCurrency(status.limit) }));
+        return confirm(tr('budgets.exceededConfirm', { lines: lines.join('\n') }));
+    }
+    addAccount(accData) {
+        const name = accData.name.trim();
+        if (!name || !ACCOUNT_TYPES[accData.type]) return;
+        const account = { id: `acc-${Date.now()}`, name, type: accData.type, currency: accData.currency || i18n.baseCurrency, openingBalance: isNaN(accData.openingBalance) ? 0 : accData.openingBalance };
+        if (account.type === 'credit') {
+            if (!(accData.closingDay >= 1 && accData.closingDay <= 31 && accData.dueDay >= 1 && accData.dueDay <= 31)) { alert(tr('accounts.creditDaysRequired')); return; }
+            Object.assign(account, { closingDay: accData.closingDay, dueDay: accData.dueDay, paymentAccountId: accData.paymentAccountId || null });
+        }
+        if (!this.ensureExchangeRate(account.currency)) return;
+        this.state.accounts.push(account);
+        this.saveAction('addAccount', { name });
+        this.modalManager.renderAccountList();
+    }
+    deleteAccount(id) {
+        const account = this.state.accounts.find(a => a.id === id);
+        if (!account) return;
+        if (this.state.accounts.length === 1) { alert(tr('accounts.keepOne')); return; }
+        if (this.state.transactions.some(t => t.accountId === id) || this.state.recurringExpenses.some(r => r.accountId === id)) {
+            alert(tr('accounts.hasTransactions', { name: account.name }));
+            return;
+        }
+        if (!confirm(tr('accounts.deleteConfirm', { name: account.name }))) return;
+        this.state.accounts = this.state.accounts.filter(a => a.id !== id);
+        this.state.accounts.forEach(a => { if (a.paymentAccountId === id) a.paymentAccountId = null; });
+        this.saveAction('deleteAccount', { name: account.name });
+        this.ui.render();
+        this.modalManager.renderAccountList();
+    }
+    getInvoiceCycle(account, date) {
+        // Compras feitas após o dia de fechamento entram na fatura do mês seguinte
+        let closingDate = clampedDate(date.getFullYear(), date.getMonth(), account.closingDay);
+        if (date.getDate() > closingDate.getDate()) closingDate = clampedDate(date.getFullYear(), date.getMonth() + 1, account.closingDay);
+        const dueDate = clampedDate(closingDate.getFullYear(), closingDate.getMonth() + (account.dueDay > account.closingDay ? 0 : 1), account.dueDay);
+        return { closingDate, dueDate };
+    }
+    getInvoices() {
+        const invoices = new Map();
+        this.state.accounts.filter(a => a.type === 'credit').forEach(account => {
+            this.state.transactions.filter(t => t.accountId === account.id && !t.skipped).forEach(t => {
+                const { closingDate, dueDate } = this.getInvoiceCycle(account, new Date(t.date));
+                const id = `inv-${account.id}-${monthKey(closingDate)}`;
+                if (!invoices.has(id)) invoices.set(id, { id, accountId: account.id, description: tr('invoices.description', { name: account.name }), closingDate, dueDate, amount: 0, currency: account.currency, transactions: [] });
+                const invoice = invoices.get(id);
+                // Compras em outra moeda entram na fatura convertidas para a moeda do cartão
+                invoice.amount += convertAmount(t.amount, t.currency, account.currency);
+                invoice.transactions.push(t);
+            });
+        });
+        return [...invoices.values()].sort((a, b) => a.dueDate - b.dueDate);
+    }
+    getAccountBalance(account, invoices = this.getInvoices(), upTo = new Date()) {
+        // O saldo fica na moeda da própria conta
+        let balance = account.openingBalance;
+        this.state.transactions.forEach(t => { if (t.accountId === account.id && !t.skipped && new Date(t.date) <= upTo) balance += convertAmount(t.amount, t.currency, account.currency); });
+        // Faturas vencidas são consideradas pagas: quitam o cartão e saem da conta de pagamento
+        invoices.forEach(invoice => {
+            if (invoice.amount >= 0 || invoice.dueDate > upTo) return;
+            if (invoice.accountId === account.id) balance -= invoice.amount;
+            else if (this.getAccount(invoice.accountId).paymentAccountId === account.id) balance += convertAmount(invoice.amount, invoice.currency, account.currency);
+        });
+        return balance;
+    }
+    editAccountOpeningBalance(id) {
+        const account = this.state.accounts.find(a => a.id === id);
+        if (!account) return;
+        const input = prompt(tr('accounts.openingBalancePrompt', { name: account.name, currency: account.currency }), account.openingBalance.toFixed(2));
+        if (input === null) return;
+        const openingBalance = parseFloat(input.replace(',', '.'));
+        if (isNaN(openingBalance)) { alert(tr('common.invalidNumber')); return; }
+        account.openingBalance = openingBalance;
+        this.saveAction('editOpeningBalance', { name: account.name });
+        this.ui.render();
+        this.modalManager.renderAccountList();
+    }
+    ensureExchangeRate(currency) {
+        // Pede a cotação na primeira vez em que uma moeda diferente da base é usada
+        if (currency === i18n.baseCurrency || i18n.exchangeRates[currency]) return true;
+        const input = prompt(tr('currency.ratePrompt', { currency, base: i18n.baseCurrency }));
+        if (input === null) return false;
+        const rate = parseFloat(input.replace(',', '.'));
+        if (!(rate > 0)) { alert(tr('common.invalidNumber')); return false; }
+        this.state.preferences.exchangeRates = { ...this.state.preferences.exchangeRates, [currency]: rate };
+        applyPreferences(this.state.preferences);
+        return true;
+    }
+    getCurrenciesInUse() {
+        // Moedas estrangeiras usadas em contas, transações e regras, além das que já têm cotação
+        const used = new Set([...this.state.accounts, ...this.state.transactions, ...this.state.recurringExpenses].map(item => item.currency));
+        Object.keys(this.state.preferences.exchangeRates).forEach(currency => used.add(currency));
+        used.delete(this.state.preferences.baseCurrency);
+        return CURRENCIES.filter(currency => used.has(currency));
+    }
+    updatePreferences({ locale, weekStart, baseCurrency, exchangeRates }) {
+        const previous = this.state.preferences;
+        if (!LOCALES[locale] || !CURRENCIES.includes(baseCurrency)) return;
+        let rates = Object.fromEntries(Object.entries(exchangeRates).filter(([, rate]) => rate > 0));
+        if (baseCurrency !== previous.baseCurrency) {
+            // As cotações e os orçamentos estão na moeda base: ao trocá-la, são recalculados pela cotação da nova base.
+            // Sem essa cotação não há como converter, e as cotações precisam ser informadas de novo.
+            const newBaseRate = rates[baseCurrency];
+            rates = newBaseRate ? Object.fromEntries([...Object.entries(rates).filter(([currency]) => currency !== baseCurrency).map(([currency, rate]) => [currency, rate / newBaseRate]), [previous.baseCurrency, 1 / newBaseRate]]) : {};
+            if (newBaseRate) this.state.budgets.forEach(b => b.amount = b.amount / newBaseRate);
+            // Contas ainda sem transações (como a conta padrão de uma instalação nova) passam a usar a nova moeda base
+            const inUse = new Set([...this.state.transactions, ...this.state.recurringExpenses].map(item => item.accountId));
+            this.state.accounts.forEach(a => { if (a.currency === previous.baseCurrency && !inUse.has(a.id)) a.currency = baseCurrency; });
+        }
+        this.state.preferences = { locale, weekStart, baseCurrency, exchangeRates: rates };
+        applyPreferences(this.state.preferences);
+        this.saveAction('updatePreferences');
+        this.ui.render();
+    }
+    getOpeningBalance() {
+        // O saldo de caixa considera apenas contas que não são cartão de crédito, convertido para a moeda base
+        return this.state.accounts.filter(a => a.type !== 'credit').reduce((sum, a) => sum + toBase(a.openingBalance, a.currency), 0);
+    }
+    getCashFlowEntries(invoices = this.getInvoices()) {
+        const entries = this.state.transactions
+            .filter(t => !t.skipped && this.getAccount(t.accountId).type !== 'credit')
+            .map(t => ({ date: new Date(t.date), amount: toBase(t.amount, t.currency) }));
+        invoices.forEach(invoice => { if (invoice.amount < 0) entries.push({ date: invoice.dueDate, amount: toBase(invoice.amount, invoice.currency) }); });
+        return entries;
+    }
+    projectBalances(start, end, extraEntries = [], invoices = this.getInvoices()) {
+        // Retorna o saldo previsto ao fim de cada dia entre `start` e `end` (inclusive)
+        const startKey = dateKey(start);
+        const perDay = new Map();
+        let balance = this.getOpeningBalance();
+        [...this.getCashFlowEntries(invoices), ...extraEntries].forEach(({ date, amount }) => {
+            const key = dateKey(date);
+            if (key < startKey) balance += amount;
+            else perDay.set(key, (perDay.get(key) || 0) + amount);
+        });
+        const days = [];
+        for (const day = new Date(start.getFullYear(), start.getMonth(), start.getDate(), 12); dateKey(day) <= dateKey(end); day.setDate(day.getDate() + 1)) {
+            balance += perDay.get(dateKey(day)) || 0;
+            days.push({ date: new Date(day), balance });
+        }
+        return days;
+    }
+    getSimulationEntries(totalAmount, installments) {
+        // Parcelas simuladas começam no mês seguinte, no mesmo dia de hoje
+        const today = new Date();
+        return Array.from({ length: installments }, (_, i) => ({ date: clampedDate(today.getFullYear(), today.getMonth() + i + 1, today.getDate()), amount: -totalAmount / installments }));
+    }
+    getForecast(months, extraEntries = []) {
+        const start = new Date();
+        const days = this.projectBalances(start, new Date(start.getFullYear(), start.getMonth() + months, start.getDate(), 12), extraEntries);
+        const lowest = days.reduce((min, d) => d.balance < min.balance ? d : min, days[0]);
+        const monthly = [];
+        days.forEach(d => {
+            const key = monthKey(d.date);
+            if (monthly.length === 0 || monthly[monthly.length - 1].key !== key) monthly.push({ key, date: d.date, lowest: d.balance, final: d.balance });
+            const month = monthly[monthly.length - 1];
+            month.lowest = Math.min(month.lowest, d.balance);
+            month.final = d.balance;
+        });
+        return { current: days[0].balance, lowest, final: days[days.length - 1], monthly };
+    }
+    getUpcomingBills(days = UPCOMING_BILLS_DAYS) {
+        // Contas com lembrete ainda não pagas, das vencidas nos últimos dias até `days` dias à frente
+        const today = new Date(); today.setHours(0, 0, 0, 0);
+        const from = new Date(today); from.setDate(from.getDate() - UPCOMING_BILLS_DAYS);
+        const until = new Date(today); until.setDate(until.getDate() + days + 1);
+        return this.state.transactions.filter(t => {
+            const date = new Date(t.date);
+            return date >= from && date < until && t.amount < 0 && !t.transferId && !t.skipped && !t.paid && getReminder(t, this.state.recurringExpenses);
+        });
+    }
+    getDueReminders(today = new Date()) {
+        // Um lembrete "N dias antes" vale de N dias antes até a véspera; o "no dia" vale apenas no vencimento
+        const todayKey = dateKey(today);
+        return this.getUpcomingBills(REMINDER_MAX_DAYS).flatMap(tx => {
+            const { daysBefore, onDay } = getReminder(tx, this.state.recurringExpenses);
+            const due = new Date(tx.date); const dueKey = dateKey(due);
+            const notifyFrom = new Date(due); notifyFrom.setDate(notifyFrom.getDate() - daysBefore);
+            const reminders = [];
+            if (daysBefore > 0 && dateKey(notifyFrom) <= todayKey && todayKey < dueKey) reminders.push({ tx, kind: 'before' });
+            if (onDay && todayKey === dueKey) reminders.push({ tx, kind: 'day' });
+            return reminders;
+        });
+    }
+    checkReminders() {
+        if (!('Notification' in window) || Notification.permission !== 'granted' || !('serviceWorker' in navigator)) return;
+        // Guarda quais lembretes já foram exibidos neste aparelho para não repeti-los a cada abertura
+        let notified = {};
+        try { notified = JSON.parse(localStorage.getItem(REMINDER_STORAGE_KEY)) || {}; } catch (err) { notified = {}; }
+        const todayKey = dateKey(new Date());
+        Object.keys(notified).forEach(key => { if (notified[key] < todayKey) delete notified[key]; });
+        const pending = this.getDueReminders().filter(({ tx, kind }) => !notified[`${tx.id}|${kind}`]);
+        if (pending.length === 0) return;
+        navigator.serviceWorker.ready.then(reg => {
+            pending.forEach(({ tx, kind }) => {
+                const due = new Date(tx.date);
+                reg.showNotification(tr(kind === 'day' ? 'reminders.dueToday' : 'reminders.dueSoon'), {
+                    body: tr('reminders.body', { description: tx.description, amount: formatCurrency(tx.amount, tx.currency), date: due.toLocaleDateString(i18n.locale) }),
+                    tag: `bill-${tx.id}`, icon: 'icons/icon-192.png', data: { date: dateKey(due), id: String(tx.id) },
+                    actions: [{ action: 'paid', title: tr('reminders.markPaid') }]
+                });
+                notified[`${tx.id}|${kind}`] = dateKey(due);
+            });
+            localStorage.setItem(REMINDER_STORAGE_KEY, JSON.stringify(notified));
+        }).catch(err => console.error('Falha ao exibir lembretes:', err));
+    }
+    requestNotificationPermission() {
+        if (!('Notification' in window)) return;
+        Notification.requestPermission().then(() => { this.ui.render(); this.checkReminders(); });
+    }
+    togglePaid(id) {
+        const tx = this.findTransaction(id);
+        if (!tx) return;
+        tx.paid = !tx.paid;
+        this.saveAction(tx.paid ? 'markPaid' : 'unmarkPaid', { description: tx.description });
+        this.ui.render();
+    }
+    openBill({ date, id, action }) {
+        // Abre o calendário no dia do vencimento; a ação "Marcar como paga" da notificação já quita a conta
+        const [year, month, day] = (date || '').split('-').map(Number);
+        if (!year) return;
+        const target = new Date(year, month - 1, day, 12, 0, 0);
+        this.modalManager.close();
+        this.state.calendarDate = new Date(target);
+        this.applyAndSortRecurring();
+        const tx = id ? this.findTransaction(id) : null;
+        if (tx && action === 'paid' && !tx.paid) { tx.paid = true; this.saveAction('markPaid', { description: tx.description }); }
+        this.setSelectedDate(target);
+    }
+    getMonthlyTotals(start, end) {
+        const months = [];
+        for (let date = new Date(start.getFullYear(), start.getMonth(), 1, 12); date <= end; date = new Date(date.getFullYear(), date.getMonth() + 1, 1, 12)) months.push({ key: monthKey(date), date, income: 0, expense: 0, net: 0 });
+        const byKey = new Map(months.map(m => [m.key, m]));
+        this.getReportTransactions(start, end).forEach(t => {
+            const month = byKey.get(monthKey(new Date(t.date))); const amount = toBase(t.amount, t.currency);
+            if (amount >= 0) month.income += amount; else month.expense -= amount;
+            month.net += amount;
+        });
+        return months;
+    }
+    getReportTransactions(start, end) {
+        // Transferências não são receita nem despesa; parcelas puladas não contam
+        return this.state.transactions.filter(t => !t.transferId && !t.skipped && new Date(t.date) >= start && new Date(t.date) <= end);
+    }
+    getReport(start, end) {
+        const expenses = this.getReportTransactions(start, end).filter(t => t.amount < 0);
+        const byCategory = new Map(); const byDescription = new Map();
+        expenses.forEach(t => {
+            const amount = toBase(t.amount, t.currency);
+            byCategory.set(t.categoryId, (byCategory.get(t.categoryId) || 0) - amount);
+            const key = normalizeDescription(t.description);
+            const entry = byDescription.get(key) || { description: t.description, total: 0, count: 0 };
+            entry.total -= amount; entry.count++;
+            byDescription.set(key, entry);
+        });
+        const trendEnd = new Date(end.getFullYear(), end.getMonth() + 1, 0, 23, 59, 59);
+        return {
+            monthly: this.getMonthlyTotals(start, end),
+            categories: [...byCategory].map(([categoryId, total]) => ({ category: this.getCategory(categoryId), total })).sort((a, b) => b.total - a.total),
+            trend: this.getMonthlyTotals(new Date(end.getFullYear(), end.getMonth() - 11, 1, 0, 0, 0), trendEnd),
+            topDescriptions: [...byDescription.values()].sort((a, b) => b.total - a.total).slice(0, 10)
+        };
+    }
+    findDuplicateTransactions(candidates, accountId) {
+        // Indexa as transações existentes por dia + valor para evitar comparar tudo com tudo
+        const index = new Map();
+        this.state.transactions.forEach(t => {
+            const key = `${dateKey(new Date(t.date))}|${Math.round(t.amount * 100)}`;
+            if (!index.has(key)) index.set(key, []);
+            index.get(key).push(t);
+        });
+        const externalIds = new Set(this.state.transactions.filter(t => t.externalId && t.accountId === accountId).map(t => t.externalId));
+        return candidates.map(candidate => {
+            if (candidate.externalId && externalIds.has(candidate.externalId)) return true;
+            const sameDayAndAmount = index.get(`${dateKey(candidate.date)}|${Math.round(candidate.amount * 100)}`) || [];
+            return sameDayAndAmount.some(t => normalizeDescription(t.description) === normalizeDescription(candidate.description));
+        });
+    }
+    importStatement(rows, accountId) {
+        // Diferente do backup JSON, o extrato é mesclado às transações existentes, na moeda da conta de destino
+        // Um único carimbo com o número da linha: `baseId + i` ocuparia os próximos milissegundos e colidiria com ids gerados depois
+        const baseId = Date.now(); const { currency } = this.getAccount(accountId);
+        rows.forEach((row, i) => {
+            const tx = { id: `stmt-${baseId}-${i}`, date: row.date, description: row.description, amount: row.amount, currency, categoryId: UNCATEGORIZED_ID, tags: [], accountId, recurringId: null };
+            if (row.externalId) tx.externalId = row.externalId;
+            this.state.transactions.push(tx);
+        });
+        this.applyAndSortRecurring();
+        this.saveAction('importStatement', { count: rows.length });
+        this.ui.render();
+        this.modalManager.close();
+        alert(tr('statement.imported', { count: rows.length }));
+    }
+    getRestoreSummary(backupState) {
+        // Compara por id: registros do backup são novos ou atualizados; os demais ficam como estão
+        return Object.fromEntries(RESTORE_COLLECTIONS.map(key => {
+            const current = new Map(this.state[key].map(r => [String(r.id), JSON.stringify(r)]));
+            const summary = { added: 0, updated: 0, untouched: 0, removed: 0 };
+            const incomingIds = new Set();
+            backupState[key].forEach(r => {
+                incomingIds.add(String(r.id));
+                if (!current.has(String(r.id))) summary.added++;
+                else if (current.get(String(r.id)) !== JSON.stringify(r)) summary.updated++;
+            });
+            current.forEach((_, id) => { if (!incomingIds.has(id)) summary.removed++; });
+            summary.untouched = current.size - summary.updated - summary.removed;
+            return [key, summary];
+        }));
+    }
+    restoreBackup(backupState, mode) {
+        if (mode === 'merge') {
+            RESTORE_COLLECTIONS.forEach(key => {
+                const byId = new Map(this.state[key].map(r => [String(r.id), r]));
+                backupState[key].forEach(r => byId.set(String(r.id), r));
+                this.state[key] = [...byId.values()];
+            });
+        } else Object.assign(this.state, backupState);
+        applyPreferences(this.state.preferences);
+        this.applyAndSortRecurring();
+        this.saveAction(mode === 'merge' ? 'mergeBackup' : 'replaceBackup');
+        this.ui.render();
+        this.modalManager.close();
+        alert(tr('backup.restored'));
     }
     applyAndSortRecurring() {
-        // MELHORIA: Lógica de recorrência baseada em parcelas
-        this.state.recurringExpenses.forEach(expense => {
-            if (expense.appliedCount >= expense.installments) return;
-
-            let firstCheckDate;
-            if (expense.lastApplied) {
-                firstCheckDate = new Date(expense.lastApplied);
-                firstCheckDate.setMonth(firstCheckDate.getMonth() + 1);
-            } else {
-                 firstCheckDate = this.state.transactions.length > 0
-                    ? new Date(Math.min(new Date(), [...this.state.transactions].sort((a,b) => a.date - b.date)[0].date))
-                    : new Date();
-            }
-            firstCheckDate.setDate(1);
-
-            while (expense.appliedCount < expense.installments && firstCheckDate <= new Date(new Date().setFullYear(new Date().getFullYear() + 5))) { // Limite de 5 anos para evitar loops infinitos
-                const transactionDate = new Date(firstCheckDate.getFullYear(), firstCheckDate.getMonth(), expense.day, 12, 0, 0);
-                const alreadyExists = this.state.transactions.some(t => t.recurringId === expense.id && t.date.getTime() === transactionDate.getTime());
-
-                if (!alreadyExists && expense.appliedCount < expense.installments) {
-                    this.state.transactions.push({ id: Date.now() + Math.random(), date: transactionDate, description: expense.description, amount: expense.amount, recurringId: expense.id });
-                    expense.lastApplied = transactionDate.toISOString();
-                    expense.appliedCount++;
-                }
-                firstCheckDate.setMonth(firstCheckDate.getMonth() + 1);
+        // MELHORIA: Projeção determinística: a parcela N de uma regra sempre tem o id `${regra}-${N}`,
+        // então parcelas já existentes (inclusive as editadas) nunca são duplicadas.
+        const existingIds = new Set(this.state.transactions.map(t => String(t.id)));
+        const today = new Date();
+        const reference = this.state.calendarDate > today ? this.state.calendarDate : today;
+        const horizon = new Date(reference.getFullYear() + 5, reference.getMonth() + 1, 0, 23, 59, 59); // Limite de 5 anos para evitar loops infinitos
+        this.state.recurringExpenses.forEach(rule => {
+            for (let installment = 1; rule.installments === null || installment <= rule.installments; installment++) {
+                const date = getOccurrenceDate(rule, installment);
+                if (date > horizon) break;
+                const id = `${rule.id}-${installment}`;
+                if (existingIds.has(id)) continue;
+                this.state.transactions.push({ id, date, description: rule.description, amount: rule.amount, currency: rule.currency, categoryId: rule.categoryId, tags: [...rule.tags], accountId: rule.accountId, recurringId: rule.id, installment });
             }
         });
         this.state.transactions.sort((a, b) => new Date(a.date) - new Date(b.date));
     }
     registerServiceWorker() {
-        if ('serviceWorker' in navigator) navigator.serviceWorker.register('./sw.js').then(reg => console.log('SW Registrado.')).catch(err => console.error('SW Falhou:', err));
+        if (!('serviceWorker' in navigator)) return;
+        // Recarrega a página só quando o usuário aceitou a atualização (na primeira instalação também há 'controllerchange')
+        let updateRequested = false;
+        navigator.serviceWorker.addEventListener('controllerchange', () => { if (updateRequested) { updateRequested = false; window.location.reload(); } });
+        navigator.serviceWorker.addEventListener('message', e => { if (e.data && e.data.type === 'OPEN_DAY') this.openBill(e.data); });
+        const showUpdateBanner = (worker) => {
+            const banner = document.getElementById('update-banner');
+            banner.classList.add('visible');
+            banner.querySelector('button').onclick = () => { updateRequested = true; banner.classList.remove('visible'); worker.postMessage({ type: 'SKIP_WAITING' }); };
+        };
+        navigator.serviceWorker.register('./sw.js').then(reg => {
+            console.log('SW Registrado.');
+            // Uma nova versão já pode estar esperando desde a última visita
+            if (reg.waiting && navigator.serviceWorker.controller) showUpdateBanner(reg.waiting);
+            reg.addEventListener('updatefound', () => {
+                const worker = reg.installing;
+                worker.addEventListener('statechange', () => { if (worker.state === 'installed' && navigator.serviceWorker.controller) showUpdateBanner(worker); });
+            });
+        }).catch(err => console.error('SW Falhou:', err));
     }
 }
 
 class DataManager {
-    constructor(storageKey) { this.storageKey = storageKey; }
-    save(state) { localStorage.setItem(this.storageKey, JSON.stringify(state)); }
-    load(defaultState) {
-        const data = localStorage.getItem(this.storageKey);
-        const stateSource = data ? JSON.parse(data) : defaultState;
-
-        if (stateSource.transactions) stateSource.transactions.forEach(t => t.date = new Date(t.date));
-        if (stateSource.recurringExpenses) stateSource.recurringExpenses.forEach(r => {
-            if(r.lastApplied) r.lastApplied = new Date(r.lastApplied);
-            // MELHORIA: Migração de dados de `endDate` para `installments`
-            if (r.endDate && !r.installments) {
-                r.installments = 12; // Define um padrão
-                delete r.endDate;
-            }
-            if(!r.appliedCount) r.appliedCount = 0;
+    constructor(dbName, legacyStorageKey) {
+        this.dbName = dbName;
+        this.legacyStorageKey = legacyStorageKey;
+        this.db = null;
+        // Última versão gravada de cada registro (em JSON), usada para gravar apenas o que mudou
+        this.snapshot = DataManager.emptySnapshot();
+        this.needsFullWrite = false;
+        this.queue = Promise.resolve();
+    }
+    static emptySnapshot() { return Object.fromEntries(DataManager.STORES.map(store => [store, new Map()])); }
+    open() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, DataManager.DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('transactions')) db.createObjectStore('transactions', { keyPath: 'id' });
+                if (!db.objectStoreNames.contains('recurringExpenses')) db.createObjectStore('recurringExpenses', { keyPath: 'id' });
+                if (!db.objectStoreNames.contains('settings')) db.createObjectStore('settings', { keyPath: 'key' });
+                if (!db.objectStoreNames.contains(DataManager.HISTORY_STORE)) db.createObjectStore(DataManager.HISTORY_STORE, { keyPath: 'id' });
+                if (!db.objectStoreNames.contains(DataManager.SYNC_STORE)) db.createObjectStore(DataManager.SYNC_STORE, { keyPath: 'key' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    readAll() {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(DataManager.STORES, 'readonly');
+            const data = {};
+            tx.objectStore('transactions').getAll().onsuccess = e => data.transactions = e.target.result;
+            tx.objectStore('recurringExpenses').getAll().onsuccess = e => data.recurringExpenses = e.target.result;
+            tx.objectStore('settings').getAll().onsuccess = e => e.target.result.forEach(({ key, value }) => data[key] = value);
+            tx.oncomplete = () => resolve(data);
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+    async load(defaultState) {
+        let data = {};
+        try {
+            this.db = await this.open();
+            data = await this.readAll();
+        } catch (err) {
+            console.error('Erro ao abrir o IndexedDB:', err);
+            alert(tr('storage.openFailed'));
+        }
+        // MELHORIA: Importa automaticamente os dados da versão antiga, que ficavam no localStorage
+        const legacyData = data.schemaVersion === undefined ? localStorage.getItem(this.legacyStorageKey) : null;
+        const legacy = legacyData ? parseLegacyData(legacyData) : null;
+        // Dados antigos corrompidos não são importados, mas continuam no localStorage
+        if (legacyData && !legacy) alert(tr('storage.legacyInvalid'));
+        if (legacy) data = legacy;
+        const isOutdated = (data.schemaVersion || 0) < SCHEMA_MIGRATIONS.length;
+        const state = { ...defaultState, ...this.normalize(data) };
+        if (isOutdated) {
+            this.needsFullWrite = true;
+            await this.save(state);
+            if (legacy && this.db && !this.needsFullWrite) localStorage.removeItem(this.legacyStorageKey);
+        } else {
+            this.snapshot = this.serialize(state).snapshot;
+        }
+        return state;
+    }
+    normalize(data) {
+        // Aplica em ordem as migrações pendentes e converte as datas de volta para `Date`
+        const source = { ...data };
+        for (let version = source.schemaVersion || 0; version < SCHEMA_MIGRATIONS.length; version++) SCHEMA_MIGRATIONS[version](source);
+        source.transactions.forEach(t => t.date = new Date(t.date));
+        const normalized = { transactions: source.transactions, recurringExpenses: source.recurringExpenses };
+        DataManager.SETTINGS_KEYS.forEach(key => normalized[key] = source[key]);
+        // A cor vai para atributos de estilo e do SVG: backups editados à mão não podem levar outra coisa
+        normalized.categories = normalized.categories.map(c => ({ ...c, color: sanitizeColor(c.color) }));
+        return normalized;
+    }
+    toBackup(state) {
+        const backup = { schemaVersion: SCHEMA_MIGRATIONS.length, transactions: state.transactions, recurringExpenses: state.recurringExpenses };
+        DataManager.SETTINGS_KEYS.forEach(key => backup[key] = state[key]);
+        return backup;
+    }
+    serialize(state) {
+        // Campos de UI (modal aberto, mês exibido...) não são persistidos
+        const records = {
+            transactions: state.transactions.map(t => [t.id, t]),
+            recurringExpenses: state.recurringExpenses.map(r => [r.id, r]),
+            settings: [...DataManager.SETTINGS_KEYS, 'schemaVersion'].map(key => [key, { key, value: key === 'schemaVersion' ? SCHEMA_MIGRATIONS.length : state[key] }])
+        };
+        const snapshot = DataManager.emptySnapshot();
+        DataManager.STORES.forEach(store => records[store].forEach(([id, record]) => snapshot[store].set(id, JSON.stringify(record))));
+        return { records, snapshot };
+    }
+    diff({ snapshot }) {
+        // Registros que mudaram desde a última gravação, com as versões antes e depois em JSON (null quando o registro não existe)
+        const changes = [];
+        DataManager.STORES.forEach(store => {
+            snapshot[store].forEach((json, id) => { const before = this.snapshot[store].get(id); if (before !== json) changes.push({ store, id, before: before ?? null, after: json }); });
+            this.snapshot[store].forEach((json, id) => { if (!snapshot[store].has(id)) changes.push({ store, id, before: json, after: null }); });
+        });
+        return changes;
+    }
+    save(state, { records, snapshot } = this.serialize(state)) {
+        const fullWrite = this.needsFullWrite;
+        const puts = []; const deletes = [];
+        DataManager.STORES.forEach(store => {
+            records[store].forEach(([id, record]) => { if (fullWrite || this.snapshot[store].get(id) !== snapshot[store].get(id)) puts.push([store, record]); });
+            if (!fullWrite) this.snapshot[store].forEach((_, id) => { if (!snapshot[store].has(id)) deletes.push([store, id]); });
+        });
+        this.snapshot = snapshot;
+        this.needsFullWrite = false;
+        if (!this.db || (puts.length === 0 && deletes.length === 0)) return this.queue;
+        // As gravações são encadeadas para que terminem na mesma ordem em que foram pedidas
+        this.queue = this.queue.then(() => new Promise((resolve, reject) => {
+            const tx = this.db.transaction(DataManager.STORES, 'readwrite');
+            if (fullWrite) DataManager.STORES.forEach(store => tx.objectStore(store).clear());
+            deletes.forEach(([store, id]) => tx.objectStore(store).delete(id));
+            puts.forEach(([store, record]) => tx.objectStore(store).put(record));
+            tx.oncomplete = () => resolve();
+            tx.onerror = tx.onabort = () => reject(tx.error);
+        })).catch(err => {
+            console.error('Erro ao salvar:', err);
+            // Como não sabemos o que foi gravado, a próxima gravação reescreve tudo
+            this.needsFullWrite = true;
+        });
+        return this.queue;
+    }
+    readHistory() {
+        if (!this.db) return Promise.resolve([]);
+        return new Promise(resolve => {
+            const request = this.db.transaction(DataManager.HISTORY_STORE, 'readonly').objectStore(DataManager.HISTORY_STORE).getAll();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => { console.error('Erro ao ler o histórico:', request.error); resolve([]); };
+        });
+    }
+    saveHistory(entry, removedIds) {
+        if (!this.db) return this.queue;
+        // O histórico fica em um store próprio: não entra em backups nem é apagado por uma gravação completa
+        this.queue = this.queue.then(() => new Promise((resolve, reject) => {
+            const tx = this.db.transaction(DataManager.HISTORY_STORE, 'readwrite');
+            const store = tx.objectStore(DataManager.HISTORY_STORE);
+            removedIds.forEach(id => store.delete(id));
+            store.put(entry);
+            tx.oncomplete = () => resolve();
+            tx.onerror = tx.onabort = () => reject(tx.error);
+        })).catch(err => console.error('Erro ao salvar o histórico:', err));
+        return this.queue;
+    }
+    readSyncState() {
+        if (!this.db) return Promise.resolve(null);
+        return new Promise(resolve => {
+            const request = this.db.transaction(DataManager.SYNC_STORE, 'readonly').objectStore(DataManager.SYNC_STORE).get('meta');
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => { console.error('Erro ao ler a sincronização:', request.error); resolve(null); };
+        });
+    }
+    saveSyncState(meta) {
+        if (!this.db) return this.queue;
+        // Configuração e controle da sincronização são deste aparelho: ficam fora dos dados, dos backups e do histórico
+        this.queue = this.queue.then(() => new Promise((resolve, reject) => {
+            const tx = this.db.transaction(DataManager.SYNC_STORE, 'readwrite');
+            tx.objectStore(DataManager.SYNC_STORE).put({ ...meta, key: 'meta' });
+            tx.oncomplete = () => resolve();
+            tx.onerror = tx.onabort = () => reject(tx.error);
+        })).catch(err => console.error('Erro ao salvar a sincronização:', err));
+        return this.queue;
+    }
+}
+DataManager.DB_VERSION = 3;
+DataManager.STORES = ['transactions', 'recurringExpenses', 'settings'];
+DataManager.HISTORY_STORE = 'history';
+DataManager.SYNC_STORE = 'sync';
+DataManager.SETTINGS_KEYS = ['categories', 'budgets', 'accounts', 'preferences', 'savedFilters', 'tombstones'];
+
+class ActionHistory {
+    constructor(dataManager, limit) { this.dataManager = dataManager; this.limit = limit; this.entries = []; this.undoStack = []; this.redoStack = []; }
+    async load() { this.entries = (await this.dataManager.readHistory()).sort((a, b) => a.id - b.id); }
+    record({ action, params = {}, of = null }, changes) {
+        if (changes.length === 0) return null;
+        const last = this.entries[this.entries.length - 1];
+        const entry = { id: last ? last.id + 1 : 1, date: new Date().toISOString(), action, params, changes };
+        // Desfazer e refazer guardam só a descrição da ação original
+        if (of) entry.of = { action: of.action, params: of.params };
+        this.entries.push(entry);
+        // Apenas as entradas mais recentes ficam gravadas; as pilhas de desfazer/refazer da sessão mantêm as suas
+        const removed = this.entries.splice(0, Math.max(0, this.entries.length - this.limit));
+        this.dataManager.saveHistory(entry, removed.map(e => e.id));
+        return entry;
+    }
+}
+
+class DateIndex {
+    constructor(transactions) {
+        // Transações ordenadas por data e agrupadas por dia: o calendário e a busca por período não precisam varrer a lista toda
+        this.entries = transactions.map(tx => ({ time: new Date(tx.date).getTime(), tx })).sort((a, b) => a.time - b.time);
+        this.days = new Map();
+        this.entries.forEach(({ time, tx }) => {
+            const key = dateKey(new Date(time));
+            if (!this.days.has(key)) this.days.set(key, []);
+            this.days.get(key).push(tx);
+        });
+    }
+    onDay(date) { return this.days.get(dateKey(date)) || []; }
+    between(start, end) {
+        // Busca binária pela primeira transação do período
+        let low = 0; let high = this.entries.length;
+        const from = start ? start.getTime() : -Infinity; const to = end ? end.getTime() : Infinity;
+        while (low < high) { const mid = (low + high) >> 1; if (this.entries[mid].time < from) low = mid + 1; else high = mid; }
+        const result = [];
+        for (let i = low; i < this.entries.length && this.entries[i].time <= to; i++) result.push(this.entries[i].tx);
+        return result;
+    }
+}
+
+class StatementParser {
+    static detectFormat(text) { return /<OFX>|OFXHEADER/i.test(text) ? 'ofx' : 'csv'; }
+    static parseOFX(text) {
+        // Funciona tanto para OFX 1.x (SGML, sem tags de fechamento) quanto para OFX 2.x (XML)
+        const field = (block, tag) => { const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i')); return match ? match[1].trim() : ''; };
+        return [...text.matchAll(/<STMTTRN>([\s\S]*?)<\/STMTTRN>/gi)].map(([, block]) => {
+            const posted = field(block, 'DTPOSTED');
+            const date = /^\d{8}/.test(posted) ? new Date(+posted.slice(0, 4), +posted.slice(4, 6) - 1, +posted.slice(6, 8), 12, 0, 0) : null;
+            return {
+                date,
+                description: field(block, 'MEMO') || field(block, 'NAME') || tr('statement.noDescription'),
+                amount: parseFloat(field(block, 'TRNAMT').replace(',', '.')),
+                externalId: field(block, 'FITID') || null
+            };
         });
-        if (stateSource.calendarDate) stateSource.calendarDate = new Date(stateSource.calendarDate);
-        if (stateSource.selectedDate) stateSource.selectedDate = new Date(stateSource.selectedDate);
+    }
+    static detectDelimiter(text) {
+        const firstLine = text.split(/\r?\n/).find(line => line.trim()) || '';
+        return [';', ',', '\t'].map(d => ({ d, count: firstLine.split(d).length })).sort((a, b) => b.count - a.count)[0].d;
+    }
+    static parseCSV(text, delimiter) {
+        const rows = []; let row = []; let cell = ''; let quoted = false;
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (quoted) {
+                if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+                else if (ch === '"') quoted = false;
+                else cell += ch;
+            } else if (ch === '"') quoted = true;
+            else if (ch === delimiter) { row.push(cell.trim()); cell = ''; }
+            else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell.trim()); cell = '';
+                if (row.some(c => c !== '')) rows.push(row);
+                row = [];
+            } else cell += ch;
+        }
+        row.push(cell.trim());
+        if (row.some(c => c !== '')) rows.push(row);
+        return rows;
+    }
+    static parseDate(text, format) {
+        const parts = (text || '').match(/(\d{1,4})[\/\-.](\d{1,2})[\/\-.](\d{1,4})/);
+        if (!parts) return null;
+        const [a, b, c] = parts.slice(1).map(Number);
+        const [year, month, day] = format === 'YYYY-MM-DD' ? [a, b, c] : format === 'MM/DD/YYYY' ? [c, a, b] : [c, b, a];
+        const fullYear = year < 100 ? 2000 + year : year;
+        if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+        return new Date(fullYear, month - 1, day, 12, 0, 0);
+    }
+    static parseAmount(text, decimalComma) {
+        let value = (text || '').replace(/R\$|\s/g, '');
+        if (!value) return NaN;
+        // Alguns bancos indicam o sinal com "D"/"C" no final ou com parênteses
+        let sign = 1;
+        if (/D$/i.test(value)) { sign = -1; value = value.slice(0, -1); } else if (/C$/i.test(value)) value = value.slice(0, -1);
+        if (/^\(.*\)$/.test(value)) { sign = -1; value = value.slice(1, -1); }
+        value = decimalComma ? value.replace(/\./g, '').replace(',', '.') : value.replace(/,/g, '');
+        return sign * parseFloat(value);
+    }
+    static guessMapping(header) {
+        const find = (pattern) => header.findIndex(h => pattern.test(h));
+        const debit = find(/d[ée]bito|sa[íi]da/i); const credit = find(/cr[ée]dito|entrada/i);
+        return {
+            date: Math.max(0, find(/data|date/i)),
+            description: Math.max(0, find(/descri|hist[óo]rico|memo|lan[çc]amento|estabelecimento/i)),
+            amount: Math.max(0, find(/valor|amount|quantia/i)),
+            amountMode: debit >= 0 && credit >= 0 ? 'split' : 'single',
+            debit: Math.max(0, debit), credit: Math.max(0, credit)
+        };
+    }
+}
+
+// Formato do arquivo de backup. Os dados vão em `data` como texto (JSON puro ou cifrado em base64)
+// e o checksum SHA-256 do JSON vai só nos backups sem senha: no arquivo cifrado ele permitiria testar palpites
+// sobre o conteúdo sem a senha, e o AES-GCM já detecta qualquer alteração no texto cifrado.
+class BackupCodec {
+    static async encode(backup, passphrase) {
+        const json = JSON.stringify(backup);
+        const file = { format: BackupCodec.FORMAT, formatVersion: BackupCodec.VERSION, createdAt: new Date().toISOString(), encrypted: !!passphrase };
+        if (!passphrase) return JSON.stringify({ ...file, checksum: await sha256Hex(json), data: json }, null, 2);
+        const salt = crypto.getRandomValues(new Uint8Array(16)); const iv = crypto.getRandomValues(new Uint8Array(12));
+        const key = await BackupCodec.deriveKey(passphrase, salt, BackupCodec.ITERATIONS);
+        const cipherText = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(json));
+        return JSON.stringify({ ...file, kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: BackupCodec.ITERATIONS, salt: bytesToBase64(salt) }, cipher: { name: 'AES-GCM', iv: bytesToBase64(iv) }, data: bytesToBase64(new Uint8Array(cipherText)) }, null, 2);
+    }
+    static deriveKey(passphrase, salt, iterations) {
+        return crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey'])
+            .then(material => crypto.subtle.deriveKey({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, material, { name: 'AES-GCM', length: 256 }, false, ['decrypt', 'encrypt']));
+    }
+    static parse(text) {
+        let file;
+        try { file = JSON.parse(text); } catch (err) { throw new Error(tr('backup.invalidJson')); }
+        // Backups antigos eram o próprio estado em JSON, sem envelope
+        if (file.format !== BackupCodec.FORMAT) return { encrypted: false, legacy: file };
+        if (file.formatVersion > BackupCodec.VERSION) throw new Error(tr('backup.newerVersion'));
+        return file;
+    }
+    static async decode(file, passphrase) {
+        if (file.legacy) return file.legacy;
+        let json = file.data;
+        if (file.encrypted) {
+            try {
+                const key = await BackupCodec.deriveKey(passphrase, base64ToBytes(file.kdf.salt), file.kdf.iterations);
+                json = new TextDecoder().decode(await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(file.cipher.iv) }, key, base64ToBytes(file.data)));
+            } catch (err) { throw new Error(tr('backup.wrongPassphrase')); }
+        }
+        // Backups cifrados antigos ainda trazem o checksum do JSON em claro e continuam sendo conferidos
+        if ((!file.encrypted || file.checksum !== undefined) && await sha256Hex(json) !== file.checksum) throw new Error(tr('backup.checksumMismatch'));
+        return JSON.parse(json);
+    }
+}
+BackupCodec.FORMAT = 'finix-backup';
+BackupCodec.VERSION = 1;
+BackupCodec.ITERATIONS = 250000;
+
+// Transporte HTTP da sincronização: todos os aparelhos leem e gravam um único documento JSON.
+// O ETag da leitura vai no If-Match da gravação; se outro aparelho gravou no meio do caminho, o servidor responde 412
+// e a sincronização recomeça a partir da versão nova.
+class HttpSyncTransport {
+    constructor(url, headers) { this.url = url; this.headers = headers; }
+    async request(options) {
+        try { return await fetch(this.url, { cache: 'no-store', ...options, headers: { ...this.headers, ...options.headers } }); } catch (err) { throw new Error(tr('sync.errors.network')); }
+    }
+    async read() {
+        const response = await this.request({ method: 'GET' });
+        if (response.status === 404) return { remoteDoc: null, etag: null };
+        if (!response.ok) throw new Error(tr('sync.errors.http', { status: response.status }));
+        let remoteDoc;
+        try { remoteDoc = await response.json(); } catch (err) { throw new Error(tr('sync.errors.format')); }
+        if (!remoteDoc || remoteDoc.format !== SyncManager.FORMAT || !remoteDoc.records) throw new Error(tr('sync.errors.format'));
+        if (remoteDoc.formatVersion > SyncManager.VERSION) throw new Error(tr('sync.errors.newerVersion'));
+        return { remoteDoc, etag: response.headers.get('ETag') };
+    }
+    async write(remoteDoc, etag) {
+        // Sem ETag o documento ainda não existe: If-None-Match impede que dois aparelhos o criem ao mesmo tempo
+        const response = await this.request({ method: 'PUT', headers: { 'Content-Type': 'application/json', ...(etag ? { 'If-Match': etag } : { 'If-None-Match': '*' }) }, body: JSON.stringify(remoteDoc) });
+        if (response.status === 412) return false;
+        if (!response.ok) throw new Error(tr('sync.errors.http', { status: response.status }));
+        return true;
+    }
+}
+
+// Pasta WebDAV (Nextcloud, ownCloud, Apache mod_dav...): o documento é um arquivo dentro da pasta informada.
+class WebDAVTransport extends HttpSyncTransport {
+    constructor({ url, username, secret }) {
+        super(`${url.replace(/\/+$/, '')}/${WebDAVTransport.FILE_NAME}`, username ? { Authorization: `Basic ${bytesToBase64(new TextEncoder().encode(`${username}:${secret}`))}` } : {});
+    }
+}
+WebDAVTransport.FILE_NAME = 'finix-sync.json';
+
+// Endpoint REST próprio: GET devolve o documento com ETag (404 enquanto ele não existir) e PUT o substitui,
+// respeitando If-Match / If-None-Match com 412. O token, se houver, vai como Bearer.
+class RestTransport extends HttpSyncTransport {
+    constructor({ url, secret }) { super(url, secret ? { Authorization: `Bearer ${secret}` } : {}); }
+}
 
-        return { ...defaultState, ...stateSource };
+// Sincronização por registro. Cada registro guarda `updatedAt` e cada remoção vira um tombstone; a base (a versão de cada
+// registro na última sincronização) diz qual lado mudou. Se só um lado mudou, ele vale; se os dois mudaram, vence a alteração
+// mais recente (empate decidido pelo conteúdo), o que dá o mesmo resultado em qualquer aparelho. A versão descartada fica
+// na lista de conflitos para o usuário escolher manualmente.
+class SyncManager {
+    constructor(dataManager) {
+        this.dataManager = dataManager;
+        this.meta = { config: null, base: {}, conflicts: [], lastSyncAt: null };
+        // Fila de envio: registros alterados desde a última sincronização. `touched` são os alterados durante a sincronização em andamento.
+        this.pending = new Set();
+        this.touched = new Set();
+        this.status = 'idle';
+        this.error = '';
+        this.running = false;
+    }
+    async load() {
+        const meta = await this.dataManager.readSyncState();
+        if (!meta) return;
+        const { key, pending, ...rest } = meta;
+        this.meta = { ...this.meta, ...rest };
+        this.pending = new Set(pending);
+    }
+    persist() { return this.dataManager.saveSyncState({ ...this.meta, pending: [...this.pending] }); }
+    isConfigured() { return !!(this.meta.config && SYNC_TRANSPORTS[this.meta.config.transport]); }
+    createTransport() { return SYNC_TRANSPORTS[this.meta.config.transport](this.meta.config); }
+    configure(config) {
+        const previous = this.meta.config;
+        // Outro servidor é outro documento: a base da sincronização anterior não vale para ele
+        if (!previous || previous.transport !== config.transport || previous.url !== config.url) this.meta.base = {};
+        this.meta.config = config.transport ? config : null;
+        this.status = 'idle'; this.error = '';
+        this.persist();
+    }
+    static recordKey(collection, id) { return `${collection}:${id}`; }
+    static recordId(collection, record) { return collection === 'preferences' ? 'preferences' : String(record.id); }
+    static localRecords(state, collection) { return collection === 'preferences' ? [state.preferences] : state[collection]; }
+    static snapshotRecords(snapshot, collection) {
+        // Versões gravadas (JSON) de cada registro da coleção, por id
+        if (DataManager.STORES.includes(collection)) return new Map([...snapshot[collection]].map(([id, json]) => [String(id), json]));
+        const json = snapshot.settings.get(collection);
+        const value = json ? JSON.parse(json).value : null;
+        if (collection === 'preferences') return new Map(value ? [['preferences', JSON.stringify(value)]] : []);
+        return new Map((value || []).map(record => [String(record.id), JSON.stringify(record)]));
+    }
+    stamp(state, snapshot) {
+        // Compara cada registro com a última versão gravada: o que mudou ganha `updatedAt` e entra na fila,
+        // o que sumiu vira tombstone para que a remoção também chegue aos outros aparelhos
+        const now = Date.now();
+        const present = new Set();
+        let changed = false;
+        const markPending = (key) => { this.pending.add(key); this.touched.add(key); changed = true; };
+        SyncManager.COLLECTIONS.forEach(collection => {
+            const previous = SyncManager.snapshotRecords(snapshot, collection);
+            SyncManager.localRecords(state, collection).forEach(record => {
+                const id = SyncManager.recordId(collection, record);
+                present.add(SyncManager.recordKey(collection, id));
+                if (previous.get(id) === JSON.stringify(record)) return;
+                record.updatedAt = now;
+                markPending(SyncManager.recordKey(collection, id));
+            });
+            previous.forEach((_, id) => {
+                if (present.has(SyncManager.recordKey(collection, id))) return;
+                state.tombstones.push({ collection, id, deletedAt: now });
+                markPending(SyncManager.recordKey(collection, id));
+            });
+        });
+        // Registros recriados (desfazer, backup) deixam de ter tombstone; os muito antigos são descartados
+        state.tombstones = state.tombstones.filter(t => !present.has(SyncManager.recordKey(t.collection, t.id)) && now - t.deletedAt < SYNC_TOMBSTONE_TTL);
+        if (changed) this.persist();
+    }
+    static collect(records, tombstones, rejected = null) {
+        // Uma entrada por registro: `{ collection, id, record }` ou, se removido, `{ collection, id, deletedAt }`.
+        // Com `rejected`, os registros também são validados; os inválidos ficam de fora e suas chaves vão para o conjunto.
+        const entries = new Map();
+        const limit = Date.now() - SYNC_TOMBSTONE_TTL;
+        tombstones.forEach(tombstone => {
+            if (rejected && !SyncManager.isValidTombstone(tombstone)) return;
+            const { collection, id, deletedAt } = tombstone;
+            if (deletedAt > limit) entries.set(SyncManager.recordKey(collection, id), { collection, id, deletedAt });
+        });
+        SyncManager.COLLECTIONS.forEach(collection => {
+            const list = records(collection) || [];
+            (Array.isArray(list) ? list : []).forEach(record => {
+                if (rejected && !SyncManager.isValidRecord(collection, record)) {
+                    if (isPlainObject(record) && isSafeId(record.id)) rejected.add(SyncManager.recordKey(collection, SyncManager.recordId(collection, record)));
+                    return;
+                }
+                const id = SyncManager.recordId(collection, record);
+                entries.set(SyncManager.recordKey(collection, id), { collection, id, record });
+            });
+        });
+        return entries;
+    }
+    static isValidTombstone(tombstone) {
+        return isPlainObject(tombstone) && SyncManager.COLLECTIONS.includes(tombstone.collection) && typeof tombstone.id === 'string' && isSafeId(tombstone.id) && Number.isFinite(tombstone.deletedAt);
+    }
+    static isValidRecord(collection, record) {
+        // O documento remoto pode ter sido escrito por qualquer um com acesso à pasta ou ao servidor:
+        // só entram registros com o formato que o próprio app grava, já que seus campos acabam no HTML e nos cálculos
+        if (!isPlainObject(record) || (record.updatedAt !== undefined && !Number.isFinite(record.updatedAt))) return false;
+        const text = (value) => typeof value === 'string';
+        const optionalId = (value) => value === null || value === undefined || isSafeId(value);
+        const money = () => Number.isFinite(record.amount) && CURRENCIES.includes(record.currency);
+        const tags = () => Array.isArray(record.tags) && record.tags.every(text);
+        const reminder = () => record.reminder === null || record.reminder === undefined || (isPlainObject(record.reminder) && Number.isInteger(record.reminder.daysBefore) && typeof record.reminder.onDay === 'boolean');
+        const classification = () => optionalId(record.categoryId) && optionalId(record.accountId) && tags() && reminder();
+        if (collection === 'preferences') {
+            return Object.keys(LOCALES).includes(record.locale) && [0, 1].includes(record.weekStart) && CURRENCIES.includes(record.baseCurrency) && isPlainObject(record.exchangeRates)
+                && Object.entries(record.exchangeRates).every(([currency, rate]) => CURRENCIES.includes(currency) && (rate === null || Number.isFinite(rate)));
+        }
+        if (!isSafeId(record.id)) return false;
+        switch (collection) {
+            case 'transactions': return text(record.description) && money() && !isNaN(new Date(record.date)) && classification() && optionalId(record.recurringId) && optionalId(record.transferId) && (record.installment === undefined || Number.isInteger(record.installment));
+            case 'recurringExpenses': return text(record.description) && money() && classification() && Object.keys(RECURRENCE_FREQUENCIES).includes(record.frequency) && DAY_MODES.includes(record.dayMode) && WEEKEND_ADJUSTMENTS.includes(record.weekendAdjustment)
+                && Number.isInteger(record.day) && !isNaN(new Date(record.startDate)) && (record.installments === null || Number.isInteger(record.installments));
+            case 'accounts': return text(record.name) && Object.keys(ACCOUNT_TYPES).includes(record.type) && CURRENCIES.includes(record.currency) && Number.isFinite(record.openingBalance) && optionalId(record.paymentAccountId);
+            case 'categories': return text(record.name) && text(record.icon) && sanitizeColor(record.color) === record.color;
+            case 'budgets': return Number.isFinite(record.amount) && optionalId(record.categoryId);
+            case 'savedFilters': return text(record.name) && isPlainObject(record.filter) && Object.keys(DEFAULT_TRANSACTION_FILTER).every(key => record.filter[key] === undefined || text(record.filter[key]));
+            default: return false;
+        }
+    }
+    static localEntries(state) { return SyncManager.collect(collection => collection === 'preferences' ? [{ ...state.preferences, id: 'preferences' }] : state[collection], state.tombstones); }
+    static version(entry) { return entry ? entry.record ? `u${entry.record.updatedAt || 0}` : `d${entry.deletedAt}` : null; }
+    static sameContent(a, b) { return stableJSON(a?.record ?? null, ['updatedAt']) === stableJSON(b?.record ?? null, ['updatedAt']); }
+    static pickWinner(a, b) {
+        // Vence a alteração mais recente; no empate, a comparação do conteúdo garante a mesma escolha nos dois aparelhos
+        const time = (entry) => entry ? entry.record ? entry.record.updatedAt || 0 : entry.deletedAt : -1;
+        if (time(a) !== time(b)) return time(a) > time(b) ? a : b;
+        return stableJSON(a) >= stableJSON(b) ? a : b;
+    }
+    merge(state, remoteDoc) {
+        this.touched = new Set();
+        const local = SyncManager.localEntries(state);
+        // Registros remotos inválidos são ignorados: vale a versão local, que os substitui no documento gravado
+        const rejected = new Set();
+        const remote = remoteDoc ? SyncManager.collect(collection => remoteDoc.records[collection], Array.isArray(remoteDoc.tombstones) ? remoteDoc.tombstones : [], rejected) : new Map();
+        if (rejected.size) console.warn('Registros inválidos ignorados na sincronização:', [...rejected]);
+        const entries = new Map(); const conflicts = [];
+        new Set([...local.keys(), ...remote.keys()]).forEach(key => {
+            const mine = local.get(key) || null; const theirs = remote.get(key) || null;
+            const remoteChanged = !rejected.has(key) && SyncManager.version(theirs) !== (this.meta.base[key] ?? null);
+            let result = mine;
+            if (remoteChanged && !this.pending.has(key)) result = theirs;
+            else if (remoteChanged) {
+                result = SyncManager.pickWinner(mine, theirs);
+                if (!SyncManager.sameContent(mine, theirs)) {
+                    const discarded = result === mine ? theirs : mine;
+                    conflicts.push({ id: `${Date.now()}-${conflicts.length}`, date: new Date().toISOString(), collection: (mine || theirs).collection, recordId: (mine || theirs).id, kept: result === mine ? 'local' : 'remote', keptRecord: result?.record || null, discardedRecord: discarded?.record || null });
+                }
+            }
+            if (result) entries.set(key, result);
+        });
+        const records = Object.fromEntries(SyncManager.COLLECTIONS.map(collection => [collection, []])); const tombstones = [];
+        entries.forEach(({ collection, id, record, deletedAt }) => { if (record) records[collection].push(record); else tombstones.push({ collection, id, deletedAt }); });
+        const outgoing = { format: SyncManager.FORMAT, formatVersion: SyncManager.VERSION, updatedAt: new Date().toISOString(), records, tombstones };
+        return { entries, conflicts, remoteDoc: outgoing };
+    }
+    commit({ entries, conflicts }) {
+        // O documento gravado passa a ser a base; só o que foi alterado durante a sincronização continua na fila
+        this.meta.base = Object.fromEntries([...entries].map(([key, entry]) => [key, SyncManager.version(entry)]));
+        this.meta.conflicts = [...this.meta.conflicts, ...conflicts];
+        this.meta.lastSyncAt = new Date().toISOString();
+        this.pending = new Set(this.touched);
+        this.persist();
+    }
+    removeConflict(id) {
+        const conflict = this.meta.conflicts.find(c => c.id === id);
+        if (!conflict) return null;
+        this.meta.conflicts = this.meta.conflicts.filter(c => c !== conflict);
+        this.persist();
+        return conflict;
     }
 }
+SyncManager.FORMAT = 'finix-sync';
+SyncManager.VERSION = 1;
+SyncManager.COLLECTIONS = ['transactions', 'recurringExpenses', 'accounts', 'categories', 'budgets', 'savedFilters', 'preferences'];
 
 class CalendarView {
     constructor(selector) { this.container = document.querySelector(selector); this.template = document.getElementById('calendar-day-template'); }
     bindEvents(onDayClick, onMonthChange) { this.container.addEventListener('click', e => { const dayElement = e.target.closest('.calendar-day'); if (dayElement && dayElement.dataset.date) onDayClick(new Date(dayElement.dataset.date)); if (e.target.id === 'prev-month') onMonthChange(-1); if (e.target.id === 'next-month') onMonthChange(1); }); }
     render(state) {
-        const { calendarDate, selectedDate, transactions } = state;
+        const { calendarDate, selectedDate, dateIndex, invoices, dailyBalances } = state;
         const year = calendarDate.getFullYear(); const month = calendarDate.getMonth();
         const firstDay = new Date(year, month, 1);
 
         // CORREÇÃO: Renderiza cabeçalhos dos dias da semana
-        let html = `<div class="calendar-controls"><button id="prev-month" title="Mês anterior">&lt;</button><h2>${firstDay.toLocaleString('pt-BR',{month:'long',year:'numeric'})}</h2><button id="next-month" title="Próximo mês">&gt;</button></div>`;
+        let html = `<div class="calendar-controls"><button id="prev-month" title="${tr('calendar.previousMonth')}">&lt;</button><h2>${firstDay.toLocaleString(i18n.locale,{month:'long',year:'numeric'})}</h2><button id="next-month" title="${tr('calendar.nextMonth')}">&gt;</button></div>`;
         html += `<div class="calendar-grid">`;
-        html += ['D','S','T','Q','Q','S','S'].map(d => `<div class="calendar-header">${d}</div>`).join('');
+        // Iniciais dos dias da semana no idioma escolhido, a partir do primeiro dia da semana configurado (1/1/2023 foi um domingo)
+        html += Array.from({ length: 7 }, (_, i) => new Date(2023, 0, 1 + (i18n.weekStart + i) % 7).toLocaleDateString(i18n.locale, { weekday: 'narrow' })).map(d => `<div class="calendar-header">${d}</div>`).join('');
         this.container.innerHTML = html; // Insere o cabeçalho
 
         const grid = document.createElement('div'); grid.className = 'calendar-grid';
@@ -189,7 +1466,7 @@ class CalendarView {
         this.container.querySelectorAll('.calendar-header').forEach(h => grid.appendChild(h));
 
         const fragment = document.createDocumentFragment();
-        for (let i = 0; i < firstDay.getDay(); i++) { const dayClone = this.template.content.cloneNode(true); dayClone.querySelector('.calendar-day').classList.add('other-month'); fragment.appendChild(dayClone); }
+        for (let i = 0; i < (firstDay.getDay() - i18n.weekStart + 7) % 7; i++) { const dayClone = this.template.content.cloneNode(true); dayClone.querySelector('.calendar-day').classList.add('other-month'); fragment.appendChild(dayClone); }
         for (let day = 1; day <= new Date(year, month + 1, 0).getDate(); day++) {
             const currentDate = new Date(year, month, day, 12, 0, 0);
             const dayClone = this.template.content.cloneNode(true);
@@ -198,11 +1475,20 @@ class CalendarView {
             dayElement.querySelector('.day-number').textContent = day;
             if (currentDate.toDateString() === new Date().toDateString()) dayElement.classList.add('today');
             if (currentDate.toDateString() === selectedDate.toDateString()) dayElement.classList.add('selected');
-            const dailyTx = transactions.filter(t => new Date(t.date).toDateString() === currentDate.toDateString());
-            if (dailyTx.length > 0) {
+            // MELHORIA: Saldo previsto ao fim do dia, com destaque para dias negativos
+            const balance = dailyBalances.get(dateKey(currentDate));
+            if (balance !== undefined) {
+                dayElement.querySelector('.day-balance').textContent = formatCompactCurrency(balance);
+                if (balance < 0) dayElement.classList.add('negative');
+            }
+            const dailyTx = dateIndex.onDay(currentDate).filter(t => !t.skipped);
+            const dailyInvoices = invoices.filter(inv => inv.amount < 0 && inv.dueDate.toDateString() === currentDate.toDateString());
+            if (dailyTx.length > 0 || dailyInvoices.length > 0) {
                 const summary = dayElement.querySelector('.day-summary');
-                if (dailyTx.some(t => t.amount > 0)) summary.innerHTML += '<div class="day-dot income"></div>';
-                if (dailyTx.some(t => t.amount < 0)) summary.innerHTML += '<div class="day-dot expense"></div>';
+                if (dailyTx.some(t => !t.transferId && t.amount > 0)) summary.innerHTML += '<div class="day-dot income"></div>';
+                if (dailyTx.some(t => !t.transferId && t.amount < 0)) summary.innerHTML += '<div class="day-dot expense"></div>';
+                if (dailyTx.some(t => t.transferId)) summary.innerHTML += '<div class="day-dot transfer"></div>';
+                if (dailyInvoices.length > 0) summary.innerHTML += '<div class="day-dot invoice"></div>';
             }
             fragment.appendChild(dayClone);
         }
@@ -212,29 +1498,54 @@ class CalendarView {
 }
 
 class DayDetailsView {
-    constructor(selector, onDeleteCallback) { this.container = document.querySelector(selector); this.template = document.getElementById('day-details-template'); this.itemTemplate = document.getElementById('transaction-item-template'); this.container.addEventListener('click', e => { const deleteButton = e.target.closest('.delete-transaction-btn'); if (deleteButton) { const itemElement = deleteButton.closest('.transaction-item'); onDeleteCallback(parseInt(itemElement.dataset.id, 10)); } }); }
+    constructor(selector, onDeleteCallback, getCategory, onEditCallback, onTogglePaidCallback) { this.getCategory = getCategory; this.container = document.querySelector(selector); this.template = document.getElementById('day-details-template'); this.itemTemplate = document.getElementById('transaction-item-template'); this.container.addEventListener('click', e => { const deleteButton = e.target.closest('.delete-transaction-btn'); if (deleteButton) { const itemElement = deleteButton.closest('.transaction-item'); onDeleteCallback(itemElement.dataset.id); } const editButton = e.target.closest('.edit-transaction-btn'); if (editButton) onEditCallback(editButton.closest('.transaction-item').dataset.id); const paidButton = e.target.closest('.mark-paid-btn'); if (paidButton) onTogglePaidCallback(paidButton.closest('.transaction-item').dataset.id); }); }
     render(state) {
-        const { selectedDate, transactions } = state;
-        const dailyTx = transactions.filter(t => new Date(t.date).toDateString() === selectedDate.toDateString());
-        if (dailyTx.length === 0) { this.container.innerHTML = ''; return; }
+        const { selectedDate, dateIndex, invoices, accounts } = state;
+        const dailyTx = [...dateIndex.onDay(selectedDate)];
+        const dailyInvoices = invoices.filter(inv => inv.amount < 0 && inv.dueDate.toDateString() === selectedDate.toDateString());
+        if (dailyTx.length === 0 && dailyInvoices.length === 0) { this.container.innerHTML = ''; return; }
+        const getAccount = id => accounts.find(a => a.id === id) || accounts[0];
+        const accountChip = id => accounts.length > 1 ? renderAccountChip(getAccount(id)) : '';
         const detailsClone = this.template.content.cloneNode(true);
         const titleEl = detailsClone.querySelector('.day-details-title');
         const summaryEl = detailsClone.querySelector('.day-details-summary');
         const listEl = detailsClone.querySelector('.transaction-list');
-        const dailyTotal = dailyTx.reduce((sum, t) => sum + t.amount, 0);
-        titleEl.textContent = selectedDate.toLocaleDateString('pt-BR', { weekday: 'long', day: 'numeric', month: 'long' });
-        summaryEl.textContent = `Balanço do Dia: ${formatCurrency(dailyTotal)}`;
-        // Ordena transações do dia para consistência
-        dailyTx.sort((a,b) => a.id - b.id).forEach(tx => {
+        // O balanço considera o impacto no caixa: compras no cartão entram pela fatura
+        const dailyTotal = dailyTx.filter(t => !t.transferId && !t.skipped && getAccount(t.accountId).type !== 'credit').reduce((sum, t) => sum + toBase(t.amount, t.currency), 0)
+            + dailyInvoices.reduce((sum, inv) => sum + toBase(inv.amount, inv.currency), 0);
+        titleEl.textContent = selectedDate.toLocaleDateString(i18n.locale, { weekday: 'long', day: 'numeric', month: 'long' });
+        summaryEl.textContent = tr('day.balance', { amount: formatCurrency(dailyTotal) });
+        const endOfDayBalance = state.dailyBalances.get(dateKey(selectedDate));
+        if (endOfDayBalance !== undefined) summaryEl.textContent += ` • ${tr('day.projectedBalance', { amount: formatCurrency(endOfDayBalance) })}`;
+        // Ordena transações do dia para consistência; ids podem ser números ou textos (parcelas, transferências, extratos)
+        dailyTx.sort((a, b) => new Date(a.date) - new Date(b.date) || String(a.id).localeCompare(String(b.id))).forEach(tx => {
             const itemClone = this.itemTemplate.content.cloneNode(true);
             const itemElement = itemClone.querySelector('.transaction-item');
             itemElement.dataset.id = tx.id;
-            itemClone.querySelector('.transaction-description').textContent = tx.description;
+            const category = this.getCategory(tx.categoryId);
+            itemClone.querySelector('.transaction-description').textContent = `${tx.transferId ? '⇄' : category.icon} ${tx.description}${describeOccurrence(tx)}`;
+            if (tx.skipped) itemElement.classList.add('skipped');
+            itemClone.querySelector('.transaction-meta').innerHTML = (tx.transferId ? '' : renderClassification(category, tx.tags)) + accountChip(tx.accountId);
             const amountEl = itemClone.querySelector('.transaction-amount');
-            amountEl.textContent = formatCurrency(tx.amount);
+            amountEl.textContent = formatCurrency(tx.amount, tx.currency);
             // CORREÇÃO: Garante que as cores apareçam
-            amountEl.classList.add(tx.amount > 0 ? 'income' : 'expense');
+            amountEl.classList.add(tx.transferId ? 'transfer' : tx.amount > 0 ? 'income' : 'expense');
             if(tx.recurringId) itemClone.querySelector('.delete-transaction-btn').style.display = 'none';
+            // Contas com lembrete podem ser marcadas como pagas direto na lista do dia
+            const paidButton = itemClone.querySelector('.mark-paid-btn');
+            if (tx.amount < 0 && !tx.transferId && !tx.skipped && getReminder(tx, state.recurringExpenses)) { paidButton.style.display = 'block'; paidButton.classList.toggle('paid', !!tx.paid); paidButton.title = tr(tx.paid ? 'reminders.unmarkPaid' : 'reminders.markPaid'); }
+            listEl.appendChild(itemClone);
+        });
+        dailyInvoices.forEach(invoice => {
+            const itemClone = this.itemTemplate.content.cloneNode(true);
+            itemClone.querySelector('.transaction-description').textContent = `💳 ${invoice.description}`;
+            itemClone.querySelector('.transaction-meta').innerHTML = `<small style="opacity:0.6">${tr('invoices.summary', { count: invoice.transactions.length, date: invoice.closingDate.toLocaleDateString(i18n.locale) })}</small>`;
+            const amountEl = itemClone.querySelector('.transaction-amount');
+            amountEl.textContent = formatCurrency(invoice.amount, invoice.currency);
+            amountEl.classList.add('expense');
+            itemClone.querySelector('.delete-transaction-btn').style.display = 'none';
+            itemClone.querySelector('.edit-transaction-btn').style.display = 'none';
+            itemClone.querySelector('.mark-paid-btn').style.display = 'none';
             listEl.appendChild(itemClone);
         });
         this.container.innerHTML = '';
@@ -242,10 +1553,98 @@ class DayDetailsView {
     }
 }
 
+class UpcomingBillsView {
+    constructor(selector, onTogglePaidCallback, onEnableNotificationsCallback) {
+        this.container = document.querySelector(selector);
+        this.container.addEventListener('click', e => {
+            const paidButton = e.target.closest('.mark-paid-btn'); if (paidButton) onTogglePaidCallback(paidButton.dataset.id);
+            if (e.target.id === 'btn-enable-notifications') onEnableNotificationsCallback();
+        });
+    }
+    render(bills, permission) {
+        // Alternativa às notificações: só aparece quando o navegador não pode notificar
+        if (permission === 'granted' || bills.length === 0) { this.container.innerHTML = ''; return; }
+        const today = dateKey(new Date());
+        let html = `<div class="card"><h3 style="margin-bottom: 10px;">${tr('upcoming.title')}</h3><ul class="transaction-list">`;
+        bills.forEach(tx => {
+            const due = new Date(tx.date);
+            const when = dateKey(due) === today ? tr('upcoming.dueToday') : tr(dateKey(due) < today ? 'upcoming.overdue' : 'upcoming.due', { date: due.toLocaleDateString(i18n.locale) });
+            html += `<li class="transaction-item"><div class="transaction-details">${escapeHTML(tx.description)}<br><small style="opacity:0.6">${when}</small></div><div class="transaction-amount expense">${formatCurrency(tx.amount, tx.currency)}</div><button class="mark-paid-btn" data-id="${escapeHTML(tx.id)}" title="${tr('reminders.markPaid')}">✓</button></li>`;
+        });
+        html += `</ul>${permission === 'default' ? `<button id="btn-enable-notifications" class="button-secondary" style="margin-top: 15px; width: 100%;">${tr('upcoming.enableNotifications')}</button>` : ''}</div>`;
+        this.container.innerHTML = html;
+    }
+}
+
+class SnackbarView {
+    constructor(selector) {
+        this.container = document.querySelector(selector); this.timer = null; this.onAction = null;
+        this.container.querySelector('button').addEventListener('click', () => { const onAction = this.onAction; this.hide(); if (onAction) onAction(); });
+    }
+    show(message, actionLabel, onAction) {
+        this.container.querySelector('span').textContent = message;
+        this.container.querySelector('button').textContent = actionLabel;
+        this.onAction = onAction;
+        this.container.classList.add('visible');
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.hide(), SNACKBAR_DURATION);
+    }
+    hide() { clearTimeout(this.timer); this.onAction = null; this.container.classList.remove('visible'); }
+}
+
+class VirtualList {
+    constructor(container, rowHeight, renderRow) {
+        this.container = container; this.rowHeight = rowHeight; this.renderRow = renderRow; this.rows = []; this.range = null;
+        // A lista fica dentro do modal, que é quem rola
+        this.scroller = container.closest('.modal') || window;
+        this.onScroll = () => this.update();
+        this.scroller.addEventListener('scroll', this.onScroll, { passive: true });
+        window.addEventListener('resize', this.onScroll);
+    }
+    setRows(rows) {
+        this.rows = rows; this.range = null;
+        this.container.style.height = `${rows.length * this.rowHeight}px`;
+        this.update();
+    }
+    update() {
+        if (!this.container.isConnected) { this.destroy(); return; }
+        // Só as linhas visíveis, com uma folga acima e abaixo, ficam no DOM
+        const offset = -this.container.getBoundingClientRect().top;
+        const first = Math.max(0, Math.floor(offset / this.rowHeight) - VIRTUAL_LIST_OVERSCAN);
+        const last = Math.min(this.rows.length, Math.ceil((offset + window.innerHeight) / this.rowHeight) + VIRTUAL_LIST_OVERSCAN);
+        if (this.range && this.range[0] === first && this.range[1] === last) return;
+        this.range = [first, last];
+        this.container.innerHTML = this.rows.slice(first, last).map((row, i) => `<div class="virtual-row" style="top: ${(first + i) * this.rowHeight}px;">${this.renderRow(row)}</div>`).join('');
+    }
+    destroy() {
+        this.scroller.removeEventListener('scroll', this.onScroll);
+        window.removeEventListener('resize', this.onScroll);
+    }
+}
+
+class BudgetView {
+    constructor(selector, getStatus, getCategory) { this.container = document.querySelector(selector); this.getStatus = getStatus; this.getCategory = getCategory; }
+    render(state) {
+        const { budgets, calendarDate } = state;
+        if (budgets.length === 0) { this.container.innerHTML = ''; return; }
+        const monthName = calendarDate.toLocaleDateString(i18n.locale, { month: 'long' });
+        let html = `<div class="card"><h3 style="margin-bottom: 15px;">${tr('budgets.monthTitle', { month: monthName })}</h3>`;
+        // Orçamento geral primeiro, depois os de categoria em ordem alfabética
+        [...budgets].sort((a, b) => !a.categoryId ? -1 : !b.categoryId ? 1 : this.getCategory(a.categoryId).name.localeCompare(this.getCategory(b.categoryId).name)).forEach(budget => {
+            const status = this.getStatus(budget, calendarDate);
+            const label = budget.categoryId ? (({ icon, name }) => `${icon} ${name}`)(this.getCategory(budget.categoryId)) : `📊 ${tr('budgets.generalShort')}`;
+            const stateClass = status.ratio > 1 ? 'over' : status.ratio >= 0.8 ? 'warning' : '';
+            const detail = status.remaining >= 0 ? tr('budgets.progress', { spent: formatCurrency(status.spent), limit: formatCurrency(status.limit) }) : tr('budgets.over', { amount: formatCurrency(-status.remaining) });
+            html += `<div class="budget-item ${stateClass}"><div class="budget-label"><span>${escapeHTML(label)}</span><small>${detail}</small></div><div class="budget-bar"><div class="budget-bar-fill" style="width:${Math.min(100, status.ratio * 100).toFixed(1)}%"></div></div>${status.carried > 0 ? `<small style="opacity:0.6">${tr('budgets.carried', { amount: formatCurrency(status.carried) })}</small>` : ''}</div>`;
+        });
+        this.container.innerHTML = html + `</div>`;
+    }
+}
+
 class ModalManager {
-    constructor(appInstance, selector) { this.app = appInstance; this.container = document.querySelector(selector); this.template = document.getElementById('modal-template'); this.recurringItemTemplate = document.getElementById('recurring-item-template'); }
+    constructor(appInstance, selector) { this.app = appInstance; this.forecastMonths = 6; this.forecastSimulation = null; this.reportRange = getPresetRange(6); this.reportCharts = {}; this.statementImport = null; this.restore = null; this.editingId = null; this.transactionFilter = { ...DEFAULT_TRANSACTION_FILTER }; this.transactionList = null; this.container = document.querySelector(selector); this.template = document.getElementById('modal-template'); this.recurringItemTemplate = document.getElementById('recurring-item-template'); }
     open(modalId) { this.app.state.activeModal = modalId; this.render(); }
-    close() { this.app.state.activeModal = null; this.render(); }
+    close() { this.app.state.activeModal = null; this.forecastSimulation = null; this.statementImport = null; this.restore = null; this.render(); }
     render() {
         this.container.innerHTML = '';
         const { activeModal } = this.app.state;
@@ -261,16 +1660,61 @@ class ModalManager {
 
         let contentHTML = '';
         if (activeModal === 'add-tx') {
-            titleEl.textContent = 'Nova Transação';
-            contentHTML = `<form id="transaction-form" class="card"><div class="form-group"><label for="date">Data</label><input type="date" id="date" required></div><div class="form-group"><label for="description">Descrição</label><input type="text" id="description" placeholder="Ex: Salário, Almoço" required></div><div class="form-group"><label for="amount">Valor</label><input type="number" step="0.01" id="amount" placeholder="Ex: 1500.00 ou -25.50" required></div><div class="form-check"><input type="checkbox" id="is-recurring"><label for="is-recurring">É uma despesa recorrente?</label></div><div id="recurring-fields"><div class="form-group"><label for="recurring-day">Dia do Mês</label><input type="number" id="recurring-day" min="1" max="31" value="1"></div><div class="form-group"><label for="installments">Número de Parcelas</label><input type="number" id="installments" min="1" max="420" value="12"></div></div><button type="submit">Adicionar</button></form>`;
+            titleEl.textContent = tr('addTx.title');
+            contentHTML = `<form id="transaction-form" class="card"><div class="form-group"><label for="date">${tr('fields.date')}</label><input type="date" id="date" required></div><div class="form-group"><label for="description">${tr('fields.description')}</label><input type="text" id="description" placeholder="${tr('addTx.descriptionPlaceholder')}" required></div><div class="form-group"><label for="amount">${tr('fields.amount')}</label><div class="filter-row"><input type="number" step="0.01" id="amount" placeholder="${tr('addTx.amountPlaceholder')}" required><select id="currency" title="${tr('fields.currency')}"><option value="">${tr('addTx.accountCurrency')}</option>${this.renderCurrencyOptions(null)}</select></div></div><div class="form-group"><label for="account">${tr('fields.account')}</label><select id="account">${this.renderAccountOptions()}</select></div><div class="form-check"><input type="checkbox" id="is-transfer"><label for="is-transfer">${tr('addTx.isTransfer')}</label></div><div id="transfer-fields"><div class="form-group"><label for="transfer-to">${tr('addTx.transferTo')}</label><select id="transfer-to">${this.renderAccountOptions(this.app.state.accounts[1]?.id)}</select></div></div><div class="form-group"><label for="category">${tr('fields.category')}</label><select id="category">${this.renderCategoryOptions()}</select></div><div class="form-group"><label for="tags">${tr('fields.tags')}</label><input type="text" id="tags" placeholder="${tr('fields.tagsPlaceholder')}"></div>${this.renderReminderFields()}<div class="form-check"><input type="checkbox" id="is-recurring"><label for="is-recurring">${tr('addTx.isRecurring')}</label></div><div id="recurring-fields"><div class="form-group"><label for="recurring-type">${tr('addTx.recurringType')}</label><select id="recurring-type"><option value="expense">${tr('addTx.expense')}</option><option value="income">${tr('addTx.income')}</option></select></div>${this.renderRecurrenceFields()}</div><button type="submit">${tr('addTx.submit')}</button></form>`;
         }
         if (activeModal === 'transactions') {
-            titleEl.textContent = 'Transações';
-            contentHTML = `<div class="card"><div class="form-group"><input type="search" id="filter" placeholder="Filtrar por descrição..."></div></div><div id="monthly-transactions-container"></div>`;
+            titleEl.textContent = tr('transactions.title');
+            const filter = this.transactionFilter;
+            const tagOptions = this.app.getAllTags().map(tag => `<option value="${escapeHTML(tag)}" ${tag === filter.tag ? 'selected' : ''}>#${escapeHTML(tag)}</option>`).join('');
+            const options = (values, group, selected) => values.map(value => `<option value="${value}" ${value === selected ? 'selected' : ''}>${tr(`${group}.${value}`)}</option>`).join('');
+            contentHTML = `<div class="card"><div class="form-group"><input type="search" id="filter" value="${escapeHTML(filter.text)}" placeholder="${tr('transactions.filterPlaceholder')}"></div><div class="filter-row"><select id="filter-category"><option value="">${tr('transactions.allCategories')}</option>${this.renderCategoryOptions(filter.categoryId || null)}</select><select id="filter-tag"><option value="">${tr('transactions.allTags')}</option>${tagOptions}</select></div><div class="filter-row" style="margin-top: 10px;"><select id="filter-account"><option value="">${tr('transactions.allAccounts')}</option>${this.renderAccountOptions(filter.accountId || null)}</select><select id="filter-type"><option value="">${tr('search.allTypes')}</option>${options(TRANSACTION_TYPES, 'search.types', filter.type)}</select></div><div class="filter-row" style="margin: 10px 0 1rem;"><select id="filter-origin"><option value="">${tr('search.allOrigins')}</option>${options(['recurring', 'single'], 'search.origins', filter.origin)}</select><select id="filter-sort" title="${tr('search.sort')}">${options(Object.keys(TRANSACTION_SORTS), 'search.sorts', filter.sort)}</select></div>`
+                + `<div class="form-group"><label for="filter-min">${tr('search.amountRange', { currency: i18n.baseCurrency })}</label><div class="filter-row"><input type="number" step="0.01" min="0" id="filter-min" value="${escapeHTML(filter.minAmount)}" placeholder="${tr('search.min')}"><input type="number" step="0.01" min="0" id="filter-max" value="${escapeHTML(filter.maxAmount)}" placeholder="${tr('search.max')}"></div></div>`
+                + `<div class="form-group"><label for="filter-start">${tr('search.period')}</label><div class="filter-row"><input type="date" id="filter-start" value="${escapeHTML(filter.start)}" title="${tr('search.from')}"><input type="date" id="filter-end" value="${escapeHTML(filter.end)}" title="${tr('search.to')}"></div></div>`
+                + `<div id="saved-filters"></div><form id="saved-filter-form" class="inline-form"><input type="text" id="saved-filter-name" placeholder="${tr('search.savedName')}" required><button type="submit" class="button-secondary">${tr('search.save')}</button><button type="button" id="btn-clear-filter" class="button-secondary">${tr('search.clear')}</button></form></div>`
+                + `<div id="classification-subtotals-container"></div><p id="search-summary" style="opacity: 0.7; margin-bottom: 10px;"></p><div id="monthly-transactions-container" class="virtual-list"></div>`;
+        }
+        if (activeModal === 'forecast') {
+            titleEl.textContent = tr('forecast.title');
+            contentHTML = `<div class="card"><p>${tr('forecast.intro', { currency: i18n.baseCurrency })}</p><div class="segmented" id="forecast-horizon">${[3, 6, 12].map(m => `<button class="${m === this.forecastMonths ? 'active' : ''}" data-months="${m}">${tr('common.months', { count: m })}</button>`).join('')}</div></div><div id="forecast-summary"></div><div class="card"><h3>${tr('forecast.simulationTitle')}</h3><p>${tr('forecast.simulationIntro')}</p><form id="forecast-simulation-form"><div class="inline-form"><input type="number" step="0.01" min="0.01" id="sim-amount" placeholder="${tr('forecast.totalAmount')}" required><input type="number" min="1" max="420" id="sim-installments" placeholder="${tr('forecast.installments')}" value="10" required></div><div class="inline-form"><button type="submit" style="flex-grow: 1;">${tr('forecast.simulate')}</button></div></form></div>`;
+        }
+        if (activeModal === 'reports') {
+            titleEl.textContent = tr('reports.title');
+            contentHTML = `<div class="card"><p>${tr('reports.intro')}</p><div class="inline-form"><input type="date" id="report-start" value="${dateKey(this.reportRange.start)}"><input type="date" id="report-end" value="${dateKey(this.reportRange.end)}"></div><div class="segmented" id="report-presets">${[3, 6, 12].map(m => `<button data-months="${m}">${tr('common.months', { count: m })}</button>`).join('')}<button data-months="year">${tr('reports.thisYear')}</button></div></div><div id="reports-container"></div>`;
+        }
+        if (activeModal === 'edit-tx') {
+            const tx = this.app.findTransaction(this.editingId);
+            if (!tx) { this.close(); return; }
+            const rule = tx.recurringId ? this.app.state.recurringExpenses.find(r => r.id === tx.recurringId) : null;
+            titleEl.textContent = tr(tx.transferId ? 'editTx.transferTitle' : 'editTx.title');
+            const classificationFields = tx.transferId ? '' : `<div class="form-group"><label for="account">${tr('fields.account')}</label><select id="account">${this.renderAccountOptions(tx.accountId)}</select></div><div class="form-group"><label for="category">${tr('fields.category')}</label><select id="category">${this.renderCategoryOptions(tx.categoryId)}</select></div><div class="form-group"><label for="tags">${tr('fields.tags')}</label><input type="text" id="tags" value="${escapeHTML(tx.tags.join(', '))}"></div>${tx.recurringId ? '' : this.renderReminderFields(tx.reminder)}`;
+            const scopeField = rule ? `<div class="form-group"><label for="edit-scope">${tr('editTx.scope')}</label><select id="edit-scope"><option value="single">${tr('editTx.scopeSingle')}</option><option value="future">${tr('editTx.scopeFuture')}</option><option value="series">${tr('editTx.scopeSeries')}</option></select></div>` : '';
+            // Nas transferências cada perna fica na moeda da sua conta
+            const currencyField = tx.transferId ? `<span class="currency-code">${tx.currency}</span>` : `<select id="currency" title="${tr('fields.currency')}">${this.renderCurrencyOptions(tx.currency)}</select>`;
+            contentHTML = `<form id="edit-transaction-form" class="card">${rule ? `<p style="margin-bottom: 15px;"><small style="opacity:0.6">${tr(rule.installments === null ? 'editTx.installmentOpen' : 'editTx.installment', { installment: tx.installment, total: rule.installments, rule: escapeHTML(rule.description) })}</small></p>` : ''}<div class="form-group"><label for="date">${tr('fields.date')}</label><input type="date" id="date" value="${dateKey(new Date(tx.date))}" required></div><div class="form-group"><label for="description">${tr('fields.description')}</label><input type="text" id="description" value="${escapeHTML(tx.description)}" required></div><div class="form-group"><label for="amount">${tr('fields.amount')}</label><div class="filter-row"><input type="number" step="0.01" id="amount" value="${tx.transferId ? Math.abs(tx.amount) : tx.amount}" required>${currencyField}</div></div>${classificationFields}${scopeField}<button type="submit">${tr('common.save')}</button></form>`;
+            if (rule) {
+                const canPayEarly = !tx.paidEarly && new Date(tx.date) > new Date();
+                contentHTML += `<div class="card"><h3>${tr('editTx.occurrenceTitle')}</h3><p>${tr('editTx.occurrenceIntro')}</p><div style="display:flex; gap:10px; margin-top:10px; flex-wrap: wrap;"><button id="btn-skip-occurrence" class="button-secondary">${tr(tx.skipped ? 'editTx.unskip' : 'editTx.skip')}</button>${canPayEarly ? `<button id="btn-pay-early" class="button-secondary">${tr('editTx.payEarly')}</button>` : ''}</div>${tx.paidEarly ? `<p style="margin-top: 10px;"><small style="opacity:0.6">${tr('editTx.paidEarly', { date: new Date(tx.originalDate).toLocaleDateString(i18n.locale) })}</small></p>` : ''}</div>`;
+            }
+        }
+        if (activeModal === 'edit-recurring') {
+            const rule = this.app.state.recurringExpenses.find(r => r.id === this.editingId);
+            if (!rule) { this.close(); return; }
+            const pastCount = this.app.countSettledOccurrences(rule.id);
+            titleEl.textContent = tr('editRecurring.title');
+            contentHTML = `<form id="edit-recurring-form" class="card"><p style="margin-bottom: 15px;"><small style="opacity:0.6">${tr('editRecurring.intro', { count: pastCount })}</small></p><div class="form-group"><label for="description">${tr('fields.description')}</label><input type="text" id="description" value="${escapeHTML(rule.description)}" required></div><div class="form-group"><label for="amount">${tr('fields.amount')}</label><div class="filter-row"><input type="number" step="0.01" id="amount" value="${rule.amount}" placeholder="${tr('editRecurring.amountPlaceholder')}" required><select id="currency" title="${tr('fields.currency')}">${this.renderCurrencyOptions(rule.currency)}</select></div></div>${this.renderRecurrenceFields(rule, rule.installments === null ? null : this.app.countOpenInstallments(rule))}<div class="form-group"><label for="account">${tr('fields.account')}</label><select id="account">${this.renderAccountOptions(rule.accountId)}</select></div><div class="form-group"><label for="category">${tr('fields.category')}</label><select id="category">${this.renderCategoryOptions(rule.categoryId)}</select></div><div class="form-group"><label for="tags">${tr('fields.tags')}</label><input type="text" id="tags" value="${escapeHTML(rule.tags.join(', '))}"></div>${this.renderReminderFields(rule.reminder)}<button type="submit">${tr('common.save')}</button></form>`;
+        }
+        if (activeModal === 'restore') {
+            titleEl.textContent = tr('restore.title');
+            contentHTML = `<div id="restore-container"></div>`;
+        }
+        if (activeModal === 'import-statement') {
+            titleEl.textContent = tr('statement.title');
+            contentHTML = `<div id="statement-import-container"></div>`;
         }
         if (activeModal === 'settings') {
-            titleEl.textContent = 'Configurações';
-            contentHTML = `<div class="card"><h3>Exportar/Importar</h3><p>Salve ou restaure um backup de seus dados.</p><div style="display:flex; gap:10px; margin-top:10px;"><button id="btn-export">Exportar JSON</button><button id="btn-import" class="button-secondary">Importar JSON</button></div><input type="file" id="import-file-input" accept=".json" style="display: none;"></div><div class="card"><h3>Gastos Recorrentes</h3><p>Visualize e exclua regras de gastos recorrentes.</p><div id="recurring-list"></div></div><div class="card"><h3>Sobre</h3><p>Finix PWA V1.0.2.1</p><small>feito com ❤️ por Bruno Maia - <a href="https://github.com/BunoMaia" target="_blank">GitHub</a></small></div>`;
+            titleEl.textContent = tr('settings.title');
+            contentHTML = `<div class="card"><h3>${tr('settings.backupTitle')}</h3><p>${tr('settings.backupIntro')}</p><div class="inline-form"><input type="password" id="backup-passphrase" autocomplete="new-password" placeholder="${tr('settings.backupPassphrase')}"></div><div style="display:flex; gap:10px; margin-top:10px;"><button id="btn-export">${tr('settings.exportJson')}</button><button id="btn-import" class="button-secondary">${tr('settings.importJson')}</button></div><input type="file" id="import-file-input" accept=".json" style="display: none;"><p style="margin-top: 15px;">${tr('settings.statementIntro')}</p><div style="margin-top:10px;"><button id="btn-import-statement" class="button-secondary">${tr('settings.importStatement')}</button></div></div><div class="card"><h3>${tr('settings.syncTitle')}</h3><p>${tr('settings.syncIntro')}</p>${this.renderSyncForm()}</div><div class="card"><h3>${tr('settings.accountsTitle')}</h3><p>${tr('settings.accountsIntro')}</p><ul id="account-list" class="transaction-list"></ul><form id="account-form"><div class="inline-form"><input type="text" id="account-name" placeholder="${tr('settings.accountName')}" required><select id="account-type">${Object.entries(ACCOUNT_TYPES).map(([type, { icon }]) => `<option value="${type}">${icon} ${tr(`accountTypes.${type}`)}</option>`).join('')}</select></div><div class="inline-form"><input type="number" step="0.01" id="account-opening" placeholder="${tr('settings.accountOpening')}"><select id="account-currency" title="${tr('fields.currency')}">${this.renderCurrencyOptions(i18n.baseCurrency)}</select></div><div id="credit-card-fields"><div class="inline-form"><input type="number" id="account-closing-day" min="1" max="31" placeholder="${tr('settings.closingDay')}"><input type="number" id="account-due-day" min="1" max="31" placeholder="${tr('settings.dueDay')}"></div><div class="inline-form"><select id="account-payment"><option value="">${tr('settings.paymentAccount')}</option>${this.renderAccountOptions(null, a => a.type !== 'credit')}</select></div></div><div class="inline-form"><button type="submit" style="flex-grow: 1;">${tr('settings.addAccount')}</button></div></form></div><div class="card"><h3>${tr('settings.categoriesTitle')}</h3><p>${tr('settings.categoriesIntro')}</p><ul id="category-list" class="transaction-list"></ul><form id="category-form" class="inline-form"><input type="text" id="category-icon" maxlength="4" placeholder="🛒" title="${tr('settings.categoryIcon')}"><input type="text" id="category-name" placeholder="${tr('settings.categoryName')}" required><input type="color" id="category-color" value="#4caf50" title="${tr('settings.categoryColor')}"><button type="submit" title="${tr('settings.addCategory')}">+</button></form></div><div class="card"><h3>${tr('settings.budgetsTitle')}</h3><p>${tr('settings.budgetsIntro', { currency: i18n.baseCurrency })}</p><ul id="budget-list" class="transaction-list"></ul><form id="budget-form"><div class="inline-form"><select id="budget-category"><option value="">📊 ${tr('settings.budgetGeneral')}</option>${this.renderCategoryOptions(null)}</select><input type="number" step="0.01" min="0.01" id="budget-amount" placeholder="${tr('settings.budgetLimit')}" required></div><div class="inline-form"><div class="form-check" style="margin: 0; flex-grow: 1;"><input type="checkbox" id="budget-rollover"><label for="budget-rollover">${tr('settings.budgetRollover')}</label></div><button type="submit" title="${tr('settings.addBudget')}">+</button></div></form></div><div class="card"><h3>${tr('settings.recurringTitle')}</h3><p>${tr('settings.recurringIntro')}</p><div id="recurring-list"></div></div><div class="card"><h3>${tr('settings.historyTitle')}</h3><p>${tr('settings.historyIntro')}</p><div style="display:flex; gap:10px; margin-top:10px;"><button id="btn-undo" class="button-secondary" title="Ctrl+Z">↶ ${tr('history.undo')}</button><button id="btn-redo" class="button-secondary" title="Ctrl+Shift+Z">↷ ${tr('history.redo')}</button></div><ul id="history-list" class="transaction-list"></ul></div><div class="card"><h3>${tr('settings.preferencesTitle')}</h3><p>${tr('settings.preferencesIntro')}</p>${this.renderPreferencesForm()}</div><div class="card"><h3>${tr('settings.aboutTitle')}</h3><p>Finix PWA V1.0.2.1</p><small>${tr('settings.madeBy')} Bruno Maia - <a href="https://github.com/BunoMaia" target="_blank">GitHub</a></small></div>`;
         }
 
         bodyEl.innerHTML = contentHTML;
@@ -285,77 +1729,922 @@ class ModalManager {
             isRecurringCheck.addEventListener('change', () => {
                 recurringFields.classList.toggle('visible', isRecurringCheck.checked);
             });
+            const isTransferCheck = document.getElementById('is-transfer');
+            isTransferCheck.addEventListener('change', () => {
+                document.getElementById('transfer-fields').classList.toggle('visible', isTransferCheck.checked);
+            });
+        }
+        if (activeModal === 'settings') { this.renderAccountList(); this.renderCategoryList(); this.renderBudgetList(); this.renderRecurringList(); this.renderHistoryList(); this.renderSyncStatus(); this.renderSyncConflicts(); }
+        if (activeModal === 'transactions') { this.renderSavedFilters(); this.renderTransactionList(); }
+        if (activeModal === 'forecast') this.renderForecast();
+        if (activeModal === 'reports') this.renderReports();
+        if (activeModal === 'import-statement') this.renderStatementImport();
+        if (activeModal === 'restore') this.renderRestore();
+    }
+    openEditTransaction(id) { this.editingId = id; this.open('edit-tx'); }
+    openEditRecurring(id) { this.editingId = id; this.open('edit-recurring'); }
+    openRestore(text) {
+        try { this.restore = { file: BackupCodec.parse(text), backup: null, mode: 'merge', error: '' }; }
+        catch (err) { alert(tr('common.error', { message: err.message })); return; }
+        this.open('restore');
+        if (!this.restore.file.encrypted) this.decodeRestore('');
+    }
+    async decodeRestore(passphrase) {
+        const restore = this.restore;
+        try { restore.backup = this.app.dataManager.normalize(await BackupCodec.decode(restore.file, passphrase)); restore.error = ''; }
+        catch (err) { console.error('Erro ao restaurar:', err); restore.error = err.message; }
+        this.renderRestore();
+    }
+    renderRestore() {
+        const container = document.getElementById('restore-container'); if(!container) return;
+        const restore = this.restore;
+        const error = restore.error ? `<p style="margin-top: 10px; color: var(--expense-color);">${escapeHTML(restore.error)}</p>` : '';
+        if (!restore.backup) {
+            container.innerHTML = restore.file.encrypted
+                ? `<form id="restore-passphrase-form" class="card"><p>${tr('restore.protected')}</p><div class="form-group" style="margin-top: 15px;"><label for="restore-passphrase">${tr('restore.passphrase')}</label><input type="password" id="restore-passphrase" autocomplete="current-password" required></div><button type="submit">${tr('restore.decrypt')}</button>${error}</form>`
+                : `<div class="card">${error || `<p>${tr('restore.checking')}</p>`}</div>`;
+            return;
+        }
+        const summary = this.app.getRestoreSummary(restore.backup);
+        const rows = RESTORE_COLLECTIONS.map(key => {
+            const { added, updated, untouched, removed } = summary[key];
+            const detail = restore.mode === 'merge' ? tr('restore.mergeDetail', { added, updated, untouched: untouched + removed }) : tr('restore.replaceDetail', { added, updated, removed, untouched });
+            return `<li class="transaction-item"><div class="transaction-details">${tr(`restore.collections.${key}`)}<br><small style="opacity:0.6">${detail}</small></div></li>`;
+        }).join('');
+        const description = restore.file.createdAt ? tr('restore.backupCreated', { date: new Date(restore.file.createdAt).toLocaleString(i18n.locale) }) : tr('restore.backup');
+        container.innerHTML = `<div class="card"><p>${description}${restore.file.encrypted ? ` ${tr('restore.encrypted')}` : ''}.</p><div class="segmented" id="restore-mode"><button class="${restore.mode === 'merge' ? 'active' : ''}" data-mode="merge">${tr('restore.merge')}</button><button class="${restore.mode === 'replace' ? 'active' : ''}" data-mode="replace">${tr('restore.replace')}</button></div><p style="margin-top: 10px;"><small style="opacity:0.6">${tr(restore.mode === 'merge' ? 'restore.mergeHint' : 'restore.replaceHint')}</small></p></div><div class="card"><h3>${tr('restore.summary')}</h3><ul class="transaction-list">${rows}</ul><div style="display:flex; gap:10px; margin-top:15px;"><button class="button-secondary" id="btn-restore-cancel">${tr('common.cancel')}</button><button id="btn-restore-confirm">${tr('common.confirm')}</button></div></div>`;
+    }
+    openStatementImport() {
+        this.statementImport = { step: 'file', accountId: this.app.state.accounts[0].id };
+        this.open('import-statement');
+    }
+    loadStatementFile(fileName, text) {
+        const imp = this.statementImport;
+        imp.fileName = fileName;
+        imp.accountId = document.getElementById('statement-account')?.value || imp.accountId;
+        if (StatementParser.detectFormat(text) === 'ofx') {
+            imp.format = 'ofx';
+            this.buildStatementPreview(StatementParser.parseOFX(text));
+            return;
+        }
+        imp.format = 'csv';
+        imp.text = text;
+        imp.delimiter = StatementParser.detectDelimiter(text);
+        imp.hasHeader = true;
+        // Vírgula como separador decimal é o padrão dos bancos brasileiros
+        imp.decimalComma = imp.delimiter !== ',' || /"-?[\d.]*\d,\d{2}"/.test(text);
+        imp.dateFormat = 'DD/MM/YYYY';
+        this.parseStatementCSV();
+    }
+    parseStatementCSV() {
+        const imp = this.statementImport;
+        imp.rows = StatementParser.parseCSV(imp.text, imp.delimiter);
+        const header = imp.hasHeader ? imp.rows[0] || [] : [];
+        imp.columns = (imp.rows[0] || []).map((_, i) => header[i] || tr('statement.column', { number: i + 1 }));
+        imp.mapping = StatementParser.guessMapping(header);
+        imp.step = 'mapping';
+        this.renderStatementImport();
+    }
+    applyStatementMapping(form) {
+        const imp = this.statementImport;
+        const mapping = {
+            date: +form['csv-date'].value, description: +form['csv-description'].value, amountMode: form['csv-amount-mode'].value,
+            amount: +form['csv-amount'].value, debit: +form['csv-debit'].value, credit: +form['csv-credit'].value
+        };
+        Object.assign(imp, { mapping, dateFormat: form['csv-date-format'].value, decimalComma: form['csv-decimal-comma'].checked });
+        const dataRows = imp.hasHeader ? imp.rows.slice(1) : imp.rows;
+        this.buildStatementPreview(dataRows.map(cells => {
+            const amount = mapping.amountMode === 'split'
+                ? (StatementParser.parseAmount(cells[mapping.credit], imp.decimalComma) || 0) - Math.abs(StatementParser.parseAmount(cells[mapping.debit], imp.decimalComma) || 0)
+                : StatementParser.parseAmount(cells[mapping.amount], imp.decimalComma);
+            return { date: StatementParser.parseDate(cells[mapping.date], imp.dateFormat), description: cells[mapping.description] || tr('statement.noDescription'), amount, externalId: null };
+        }));
+    }
+    buildStatementPreview(parsedRows) {
+        const imp = this.statementImport;
+        const validRows = parsedRows.filter(r => r.date && !isNaN(r.amount) && r.amount !== 0);
+        imp.skipped = parsedRows.length - validRows.length;
+        const duplicates = this.app.findDuplicateTransactions(validRows, imp.accountId);
+        // Duplicatas vêm desmarcadas por padrão, mas o usuário pode importá-las mesmo assim
+        imp.preview = validRows.map((row, i) => ({ ...row, duplicate: duplicates[i], selected: !duplicates[i] }));
+        imp.step = 'preview';
+        this.renderStatementImport();
+    }
+    renderStatementImport() {
+        const container = document.getElementById('statement-import-container'); if(!container) return;
+        const imp = this.statementImport;
+        if (imp.step === 'file') {
+            container.innerHTML = `<div class="card"><p>${tr('statement.intro')}</p><div class="form-group" style="margin-top: 15px;"><label for="statement-account">${tr('statement.account')}</label><select id="statement-account">${this.renderAccountOptions(imp.accountId)}</select></div><button id="btn-statement-choose">${tr('statement.chooseFile')}</button><input type="file" id="statement-file-input" accept=".ofx,.qfx,.csv,.txt" style="display: none;"></div>`;
+            return;
+        }
+        if (imp.step === 'mapping') {
+            const columnOptions = (selected) => imp.columns.map((col, i) => `<option value="${i}" ${i === selected ? 'selected' : ''}>${escapeHTML(col)}</option>`).join('');
+            const { mapping } = imp;
+            const sample = (imp.hasHeader ? imp.rows.slice(1) : imp.rows).slice(0, 3);
+            container.innerHTML = `<form id="statement-mapping-form" class="card"><h3>${tr('statement.columnsTitle')}</h3><p><small style="opacity:0.6">${escapeHTML(imp.fileName)} — ${tr('statement.lines', { count: imp.rows.length })}</small></p>`
+                + `<div class="filter-row" style="margin-top: 15px;"><select id="csv-delimiter">${[[';', 'semicolon'], [',', 'comma'], ['\t', 'tab']].map(([d, name]) => `<option value="${d === '\t' ? 'tab' : d}" ${d === imp.delimiter ? 'selected' : ''}>${tr(`statement.delimiters.${name}`)}</option>`).join('')}</select></div>`
+                + `<div class="form-check" style="margin-top: 10px;"><input type="checkbox" id="csv-has-header" ${imp.hasHeader ? 'checked' : ''}><label for="csv-has-header">${tr('statement.hasHeader')}</label></div>`
+                + `<div class="form-group"><label for="csv-date">${tr('fields.date')}</label><div class="filter-row"><select id="csv-date">${columnOptions(mapping.date)}</select><select id="csv-date-format">${['DD/MM/YYYY', 'YYYY-MM-DD', 'MM/DD/YYYY'].map(f => `<option ${f === imp.dateFormat ? 'selected' : ''}>${f}</option>`).join('')}</select></div></div>`
+                + `<div class="form-group"><label for="csv-description">${tr('fields.description')}</label><select id="csv-description">${columnOptions(mapping.description)}</select></div>`
+                + `<div class="form-group"><label for="csv-amount-mode">${tr('statement.amounts')}</label><select id="csv-amount-mode"><option value="single" ${mapping.amountMode === 'single' ? 'selected' : ''}>${tr('statement.singleColumn')}</option><option value="split" ${mapping.amountMode === 'split' ? 'selected' : ''}>${tr('statement.splitColumns')}</option></select></div>`
+                + `<div class="form-group csv-single-fields" ${mapping.amountMode === 'split' ? 'style="display:none"' : ''}><label for="csv-amount">${tr('fields.amount')}</label><select id="csv-amount">${columnOptions(mapping.amount)}</select></div>`
+                + `<div class="form-group csv-split-fields" ${mapping.amountMode === 'single' ? 'style="display:none"' : ''}><label for="csv-debit">${tr('statement.debitCredit')}</label><div class="filter-row"><select id="csv-debit">${columnOptions(mapping.debit)}</select><select id="csv-credit">${columnOptions(mapping.credit)}</select></div></div>`
+                + `<div class="form-check"><input type="checkbox" id="csv-decimal-comma" ${imp.decimalComma ? 'checked' : ''}><label for="csv-decimal-comma">${tr('statement.decimalComma')}</label></div>`
+                + `<div class="table-scroll"><table class="preview-table"><tbody>${sample.map(cells => `<tr>${cells.map(c => `<td>${escapeHTML(c)}</td>`).join('')}</tr>`).join('')}</tbody></table></div>`
+                + `<div style="display:flex; gap:10px; margin-top:15px;"><button type="button" class="button-secondary" id="btn-statement-restart">${tr('common.back')}</button><button type="submit">${tr('statement.preview')}</button></div></form>`;
+            return;
+        }
+        const selectedCount = imp.preview.filter(r => r.selected).length;
+        const duplicateCount = imp.preview.filter(r => r.duplicate).length;
+        const { currency } = this.app.getAccount(imp.accountId);
+        const rowsHTML = imp.preview.map((r, i) => `<tr class="${r.duplicate ? 'duplicate' : ''}"><td><input type="checkbox" class="statement-row-check" data-index="${i}" ${r.selected ? 'checked' : ''}></td><td>${r.date.toLocaleDateString(i18n.locale)}</td><td>${escapeHTML(r.description)}${r.duplicate ? ` <small class="tag-chip">${tr('statement.duplicate')}</small>` : ''}</td><td class="transaction-amount ${r.amount >= 0 ? 'income' : 'expense'}">${formatCurrency(r.amount, currency)}</td></tr>`).join('');
+        container.innerHTML = `<div class="card"><h3>${tr('statement.previewTitle')}</h3><p><small style="opacity:0.6">${tr('statement.previewSummary', { count: imp.preview.length - duplicateCount, duplicates: duplicateCount })}${imp.skipped ? `, ${tr('statement.skippedRows', { count: imp.skipped })}` : ''}</small></p>`
+            + `<div class="table-scroll"><table class="preview-table"><thead><tr><th></th><th>${tr('fields.date')}</th><th>${tr('fields.description')}</th><th>${tr('fields.amount')}</th></tr></thead><tbody>${rowsHTML}</tbody></table></div>`
+            + `<div style="display:flex; gap:10px; margin-top:15px;"><button class="button-secondary" id="btn-statement-back">${tr('common.back')}</button><button id="btn-statement-commit" ${selectedCount === 0 ? 'disabled' : ''}>${tr('statement.importCount', { count: selectedCount })}</button></div></div>`;
+    }
+    renderForecast() {
+        const container = document.getElementById('forecast-summary'); if(!container) return;
+        const forecast = this.app.getForecast(this.forecastMonths);
+        const balanceClass = value => value >= 0 ? 'income' : 'expense';
+        const row = (label, value, detail = '') => `<li class="transaction-item"><div class="transaction-details">${label}${detail ? `<br><small style="opacity:0.6">${detail}</small>` : ''}</div><div class="transaction-amount ${balanceClass(value)}">${formatCurrency(value)}</div></li>`;
+        let html = `<div class="card"><ul class="transaction-list">`;
+        html += row(tr('forecast.today'), forecast.current);
+        html += row(tr('forecast.lowest'), forecast.lowest.balance, forecast.lowest.date.toLocaleDateString(i18n.locale));
+        html += row(tr('forecast.balanceOn', { date: forecast.final.date.toLocaleDateString(i18n.locale) }), forecast.final.balance);
+        html += `</ul></div>`;
+        if (this.forecastSimulation) {
+            const { amount, installments } = this.forecastSimulation;
+            const simulated = this.app.getForecast(this.forecastMonths, this.app.getSimulationEntries(amount, installments));
+            const verdict = simulated.lowest.balance >= 0
+                ? `✅ ${tr('forecast.fits', { months: this.forecastMonths })}`
+                : `⚠️ ${tr('forecast.negative', { amount: formatCurrency(simulated.lowest.balance), date: simulated.lowest.date.toLocaleDateString(i18n.locale) })}`;
+            html += `<div class="card"><h3>${tr('forecast.simulation', { installments, amount: formatCurrency(amount / installments) })}</h3><p style="margin: 10px 0;">${verdict}</p><ul class="transaction-list">`;
+            html += row(tr('forecast.lowestWithPurchase'), simulated.lowest.balance, simulated.lowest.date.toLocaleDateString(i18n.locale));
+            html += row(tr('forecast.finalWithPurchase'), simulated.final.balance);
+            html += `</ul></div>`;
+        }
+        html += `<div class="card"><h3>${tr('forecast.monthly')}</h3><ul class="transaction-list">`;
+        forecast.monthly.forEach(m => {
+            html += row(m.date.toLocaleDateString(i18n.locale, { month: 'long', year: 'numeric' }), m.lowest, tr('forecast.finalBalance', { amount: formatCurrency(m.final) }));
+        });
+        container.innerHTML = html + `</ul></div>`;
+    }
+    renderReports() {
+        const container = document.getElementById('reports-container'); if(!container) return;
+        const { start, end } = this.reportRange;
+        const report = this.app.getReport(start, end);
+        const monthLabel = date => date.toLocaleDateString(i18n.locale, { month: '2-digit', year: '2-digit' });
+        // Valores do CSV com o separador decimal do idioma escolhido, sem separador de milhar
+        const money = value => value.toLocaleString(i18n.locale, { minimumFractionDigits: 2, maximumFractionDigits: 2, useGrouping: false });
+        this.reportCharts = {
+            monthly: { title: tr('reports.monthlyTitle'), ...renderBarChart(report.monthly.map(m => ({ label: monthLabel(m.date), values: [m.income, m.expense] })), [CHART_COLORS.income, CHART_COLORS.expense]),
+                rows: [[tr('reports.month'), tr('reports.income'), tr('reports.expenses'), tr('reports.balance')], ...report.monthly.map(m => [m.key, money(m.income), money(m.expense), money(m.net)])] },
+            categories: { title: tr('reports.categoriesTitle'), ...renderDonutChart(report.categories.map(c => ({ label: `${c.category.icon} ${c.category.name}`, value: c.total, color: c.category.color }))),
+                rows: [[tr('fields.category'), tr('reports.total')], ...report.categories.map(c => [c.category.name, money(c.total)])] },
+            trend: { title: tr('reports.trendTitle'), ...renderLineChart(report.trend.map(m => ({ label: monthLabel(m.date), value: m.net }))),
+                rows: [[tr('reports.month'), tr('reports.income'), tr('reports.expenses'), tr('reports.savings')], ...report.trend.map(m => [m.key, money(m.income), money(m.expense), money(m.net)])] },
+            top: { title: tr('reports.topTitle'), ...renderHorizontalBarChart(report.topDescriptions.map(d => ({ label: d.description, value: d.total }))),
+                rows: [[tr('fields.description'), tr('reports.total'), tr('reports.occurrences')], ...report.topDescriptions.map(d => [d.description, money(d.total), d.count])] }
+        };
+        const totalIncome = report.monthly.reduce((sum, m) => sum + m.income, 0); const totalExpense = report.monthly.reduce((sum, m) => sum + m.expense, 0);
+        let html = `<div class="card"><ul class="transaction-list"><li class="transaction-item"><div class="transaction-details">${tr('reports.periodIncome')}</div><div class="transaction-amount income">${formatCurrency(totalIncome)}</div></li><li class="transaction-item"><div class="transaction-details">${tr('reports.periodExpenses')}</div><div class="transaction-amount expense">${formatCurrency(-totalExpense)}</div></li><li class="transaction-item"><div class="transaction-details">${tr('reports.netSavings')}</div><div class="transaction-amount ${totalIncome >= totalExpense ? 'income' : 'expense'}">${formatCurrency(totalIncome - totalExpense)}</div></li></ul></div>`;
+        Object.entries(this.reportCharts).forEach(([id, chart]) => {
+            html += `<div class="card"><h3>${chart.title}</h3><div class="chart">${chart.svg}</div><div class="chart-actions">${['svg', 'png', 'csv'].map(format => `<button class="button-secondary chart-export" data-chart="${id}" data-format="${format}">${format.toUpperCase()}</button>`).join('')}</div></div>`;
+        });
+        container.innerHTML = html;
+    }
+    async exportReportChart(id, format) {
+        const chart = this.reportCharts[id]; if (!chart) return;
+        const filename = `finix_${id}_${dateKey(this.reportRange.start)}_${dateKey(this.reportRange.end)}.${format}`;
+        if (format === 'csv') downloadBlob(new Blob(['\ufeff' + toCSV(chart.rows)], { type: 'text/csv;charset=utf-8' }), filename);
+        if (format === 'svg') downloadBlob(new Blob([chart.svg], { type: 'image/svg+xml' }), filename);
+        if (format === 'png') {
+            try { downloadBlob(await svgToPngBlob(chart.svg, chart.width, chart.height), filename); }
+            catch (err) { console.error('Falha ao gerar PNG:', err); alert(tr('reports.pngFailed')); }
         }
-        if (activeModal === 'settings') this.renderRecurringList();
-        if (activeModal === 'transactions') this.renderTransactionList();
     }
 
-    renderTransactionList(filter = '') {
+    renderCategoryOptions(selectedId = UNCATEGORIZED_ID) {
+        return this.app.state.categories.map(c => `<option value="${escapeHTML(c.id)}" ${c.id === selectedId ? 'selected' : ''}>${escapeHTML(`${c.icon} ${c.name}`)}</option>`).join('');
+    }
+    getTransactionFilter() {
+        // Valores do formulário de busca, como texto: é assim que as buscas são guardadas
+        const value = id => document.getElementById(id)?.value || '';
+        return { text: value('filter'), categoryId: value('filter-category'), tag: value('filter-tag'), accountId: value('filter-account'), type: value('filter-type'), origin: value('filter-origin'), sort: value('filter-sort') || DEFAULT_TRANSACTION_FILTER.sort, minAmount: value('filter-min'), maxAmount: value('filter-max'), start: value('filter-start'), end: value('filter-end') };
+    }
+    applyTransactionFilter(filter) { this.transactionFilter = { ...DEFAULT_TRANSACTION_FILTER, ...filter }; this.render(); }
+    renderSavedFilters() {
+        const container = document.getElementById('saved-filters'); if(!container) return;
+        container.innerHTML = this.app.state.savedFilters.map(f => `<span class="saved-filter-chip"><button class="apply-filter-btn" data-id="${escapeHTML(f.id)}">🔖 ${escapeHTML(f.name)}</button><button class="delete-filter-btn" data-id="${escapeHTML(f.id)}" title="${tr('search.deleteSaved')}">&times;</button></span>`).join('');
+    }
+    renderTransactionList() {
         const container = document.getElementById('monthly-transactions-container'); if(!container) return;
-        const filteredTx = this.app.state.transactions.filter(t => t.description.toLowerCase().includes(filter.toLowerCase()));
-        const grouped = filteredTx.reduce((acc, tx) => {
-            const month = new Date(tx.date).toLocaleDateString('pt-BR', { year: 'numeric', month: 'long' });
-            if (!acc[month]) acc[month] = { transactions: [], total: 0 };
-            acc[month].transactions.push(tx);
-            acc[month].total += tx.amount;
-            return acc;
-        }, {});
-        const sortedMonths = Object.keys(grouped).sort((a, b) => new Date(b.split(' de ').reverse().join('-')) - new Date(a.split(' de ').reverse().join('-')));
-        if (sortedMonths.length === 0) { container.innerHTML = `<div class="card"><p style="text-align: center;">Nenhuma transação encontrada.</p></div>`; return; }
-        let html = '';
-        sortedMonths.forEach(month => {
-            const { transactions, total } = grouped[month];
-            html += `<div class="month-group-header"><span class="month-name">${month}</span><span class="month-balance ${total >= 0 ? 'income' : 'expense'}">${formatCurrency(total)}</span></div>`;
-            html += `<div class="card"><ul class="transaction-list">`;
-            transactions.sort((a,b) => new Date(b.date) - new Date(a.date)).forEach(tx => {
-                html += `<li class="transaction-item"><div class="transaction-details">${tx.description} <small style="opacity:0.6">${new Date(tx.date).toLocaleDateString('pt-BR')}</small></div><div class="transaction-amount ${tx.amount >= 0 ? 'income' : 'expense'}">${formatCurrency(tx.amount)}</div></li>`;
+        const filter = this.transactionFilter = this.getTransactionFilter();
+        const results = this.app.searchTransactions(filter);
+        this.renderClassificationSubtotals(results.filter(t => !t.transferId && !t.skipped));
+        const total = results.reduce((sum, t) => t.transferId || t.skipped ? sum : sum + toBase(t.amount, t.currency), 0);
+        document.getElementById('search-summary').textContent = results.length ? tr('search.summary', { count: results.length, total: formatCurrency(total) }) : '';
+        if (results.length === 0) { container.style.height = ''; container.innerHTML = `<div class="card"><p style="text-align: center;">${tr('transactions.empty')}</p></div>`; return; }
+        // Ordenadas por data, as transações ficam agrupadas por mês (chave AAAA-MM); nas demais ordenações a lista é contínua
+        const rows = [];
+        if (filter.sort.startsWith('date')) {
+            const totals = new Map();
+            results.forEach(tx => {
+                const month = monthKey(new Date(tx.date));
+                // Transferências não são receitas nem despesas
+                totals.set(month, (totals.get(month) || 0) + (tx.transferId || tx.skipped ? 0 : toBase(tx.amount, tx.currency)));
             });
-            html += `</ul></div>`;
+            let currentMonth = null;
+            results.forEach(tx => {
+                const month = monthKey(new Date(tx.date));
+                if (month !== currentMonth) { currentMonth = month; rows.push({ label: new Date(tx.date).toLocaleDateString(i18n.locale, { year: 'numeric', month: 'long' }), total: totals.get(month) }); }
+                rows.push({ tx });
+            });
+        } else results.forEach(tx => rows.push({ tx }));
+        // Só as linhas visíveis são desenhadas, então milhares de transações não pesam na rolagem
+        if (!this.transactionList || this.transactionList.container !== container) {
+            if (this.transactionList) this.transactionList.destroy();
+            this.transactionList = new VirtualList(container, TRANSACTION_ROW_HEIGHT, row => row.tx ? this.renderTransactionRow(row.tx) : `<div class="month-group-header"><span class="month-name">${row.label}</span><span class="month-balance ${row.total >= 0 ? 'income' : 'expense'}">${formatCurrency(row.total)}</span></div>`);
+        }
+        this.transactionList.setRows(rows);
+    }
+    renderTransactionRow(tx) {
+        const category = this.app.getCategory(tx.categoryId);
+        const accountChip = this.app.state.accounts.length > 1 ? renderAccountChip(this.app.getAccount(tx.accountId)) : '';
+        const meta = (tx.transferId ? '' : renderClassification(category, tx.tags)) + accountChip;
+        const amountClass = getTransactionType(tx);
+        return `<div class="transaction-item ${tx.skipped ? 'skipped' : ''}" data-id="${escapeHTML(tx.id)}"><div class="transaction-details">${escapeHTML(tx.transferId ? '⇄' : category.icon)} ${escapeHTML(tx.description + describeOccurrence(tx))} <small style="opacity:0.6">${new Date(tx.date).toLocaleDateString(i18n.locale)}</small><small class="transaction-meta">${meta}</small></div><div class="transaction-amount ${amountClass}">${formatCurrency(tx.amount, tx.currency)}</div><button class="edit-transaction-btn" title="${tr('transactions.edit')}">✎</button></div>`;
+    }
+    renderClassificationSubtotals(transactions) {
+        const container = document.getElementById('classification-subtotals-container'); if(!container) return;
+        if (transactions.length === 0) { container.innerHTML = ''; return; }
+        const byCategory = {}; const byTag = {};
+        transactions.forEach(tx => {
+            const amount = toBase(tx.amount, tx.currency);
+            byCategory[tx.categoryId] = (byCategory[tx.categoryId] || 0) + amount;
+            tx.tags.forEach(tag => byTag[tag] = (byTag[tag] || 0) + amount);
         });
-        container.innerHTML = html;
+        const row = (label, total) => `<li class="transaction-item"><div class="transaction-details">${label}</div><div class="transaction-amount ${total >= 0 ? 'income' : 'expense'}">${formatCurrency(total)}</div></li>`;
+        let html = `<div class="card"><h3>${tr('transactions.byCategory')}</h3><ul class="transaction-list">`;
+        Object.keys(byCategory).sort((a, b) => byCategory[a] - byCategory[b]).forEach(id => {
+            const category = this.app.getCategory(id);
+            html += row(`<span class="category-chip" style="--chip-color:${escapeHTML(sanitizeColor(category.color))}">${escapeHTML(`${category.icon} ${category.name}`)}</span>`, byCategory[id]);
+        });
+        html += `</ul>`;
+        const tags = Object.keys(byTag).sort((a, b) => byTag[a] - byTag[b]);
+        if (tags.length > 0) {
+            html += `<h3 style="margin-top: 15px;">${tr('transactions.byTag')}</h3><ul class="transaction-list">`;
+            tags.forEach(tag => html += row(`<span class="tag-chip">#${escapeHTML(tag)}</span>`, byTag[tag]));
+            html += `</ul>`;
+        }
+        container.innerHTML = html + `</div>`;
+    }
+    renderCategoryList() {
+        const listEl = document.getElementById('category-list'); if(!listEl) return;
+        listEl.innerHTML = this.app.state.categories.map(c => {
+            const deleteBtn = c.id === UNCATEGORIZED_ID ? '' : `<button class="delete-category-btn" data-id="${escapeHTML(c.id)}" title="${tr('settings.deleteCategory')}">&times;</button>`;
+            return `<li class="transaction-item"><div class="transaction-details"><span class="category-chip" style="--chip-color:${escapeHTML(sanitizeColor(c.color))}">${escapeHTML(`${c.icon} ${c.name}`)}</span></div>${deleteBtn}</li>`;
+        }).join('');
+    }
+    renderReminderFields(reminder = null) {
+        const { daysBefore = 0, onDay = false } = reminder || {};
+        return `<div class="form-group"><label for="reminder-days">${tr('reminders.label')}</label><div class="filter-row"><input type="number" id="reminder-days" min="0" max="${REMINDER_MAX_DAYS}" placeholder="${tr('reminders.daysBefore')}" value="${daysBefore || ''}"><div class="form-check" style="margin: 0;"><input type="checkbox" id="reminder-on-day" ${onDay ? 'checked' : ''}><label for="reminder-on-day">${tr('reminders.onDay')}</label></div></div></div>`;
+    }
+    renderRecurrenceFields(rule = null, remaining = 12) {
+        const { frequency = 'monthly', dayMode = 'fixed', day = new Date().getDate(), weekendAdjustment = 'none' } = rule || {};
+        const options = (values, group, selected) => values.map(value => `<option value="${value}" ${value === selected ? 'selected' : ''}>${tr(`${group}.${value}`)}</option>`).join('');
+        const isWeekly = RECURRENCE_FREQUENCIES[frequency].days !== undefined;
+        return `<div class="form-group"><label for="frequency">${tr('recurrence.frequency')}</label><select id="frequency">${options(Object.keys(RECURRENCE_FREQUENCIES), 'frequencies', frequency)}</select></div>`
+            + `<div class="recurrence-day-fields" ${isWeekly ? 'style="display:none"' : ''}><div class="form-group"><label for="day-mode">${tr('recurrence.day')}</label><div class="filter-row"><select id="day-mode">${options(DAY_MODES, 'dayModes', dayMode)}</select><input type="number" id="recurring-day" min="1" max="31" value="${day}" ${dayMode === 'last' ? 'disabled' : ''}></div></div></div>`
+            + `<div class="form-group"><label for="weekend-adjustment">${tr('recurrence.weekend')}</label><select id="weekend-adjustment">${options(WEEKEND_ADJUSTMENTS, 'weekendAdjustments', weekendAdjustment)}</select></div>`
+            + `<div class="form-group"><label for="installments">${tr(rule ? 'recurrence.remaining' : 'recurrence.installments')}</label><input type="number" id="installments" min="${rule ? 0 : 1}" max="420" value="${remaining ?? 12}" ${remaining === null ? 'disabled' : ''}></div>`
+            + `<div class="form-check"><input type="checkbox" id="open-ended" ${remaining === null ? 'checked' : ''}><label for="open-ended">${tr('recurrence.openEnded')}</label></div>`;
+    }
+    renderCurrencyOptions(selected = i18n.baseCurrency) {
+        return CURRENCIES.map(c => `<option value="${c}" ${c === selected ? 'selected' : ''}>${c}</option>`).join('');
+    }
+    renderPreferencesForm() {
+        const { locale, weekStart, baseCurrency, exchangeRates } = this.app.state.preferences;
+        // Cotação de cada moeda estrangeira em uso: quanto vale 1 unidade na moeda base
+        const rates = this.app.getCurrenciesInUse().map(c => `<div class="inline-form"><label for="rate-${c}" class="rate-label">1 ${c} =</label><input type="number" step="any" min="0" id="rate-${c}" class="exchange-rate" data-currency="${c}" value="${exchangeRates[c] || ''}" placeholder="${tr('settings.ratePlaceholder')}"><span class="currency-code">${baseCurrency}</span></div>`).join('');
+        return `<form id="preferences-form"><div class="form-group" style="margin-top: 15px;"><label for="pref-locale">${tr('settings.language')}</label><select id="pref-locale">${Object.keys(LOCALES).map(l => `<option value="${l}" ${l === locale ? 'selected' : ''}>${LOCALES[l]['language.name']}</option>`).join('')}</select></div>`
+            + `<div class="form-group"><label for="pref-week-start">${tr('settings.weekStart')}</label><select id="pref-week-start">${[0, 1].map(d => `<option value="${d}" ${d === weekStart ? 'selected' : ''}>${new Date(2023, 0, 1 + d).toLocaleDateString(i18n.locale, { weekday: 'long' })}</option>`).join('')}</select></div>`
+            + `<div class="form-group"><label for="pref-base-currency">${tr('settings.baseCurrency')}</label><select id="pref-base-currency">${this.renderCurrencyOptions(baseCurrency)}</select></div>`
+            + (rates ? `<p>${tr('settings.ratesIntro')}</p>${rates}` : '')
+            + `<div class="inline-form"><button type="submit" style="flex-grow: 1;">${tr('common.save')}</button></div></form>`;
+    }
+    renderSyncForm() {
+        const { transport = '', url = '', username = '', secret = '' } = this.app.sync.meta.config || {};
+        return `<form id="sync-form"><div class="form-group" style="margin-top: 15px;"><label for="sync-transport">${tr('sync.transport')}</label><select id="sync-transport">${['', ...Object.keys(SYNC_TRANSPORTS)].map(t => `<option value="${t}" ${t === transport ? 'selected' : ''}>${tr(`sync.transports.${t || 'none'}`)}</option>`).join('')}</select></div>`
+            + `<div class="form-group"><label for="sync-url">${tr('sync.url')}</label><input type="url" id="sync-url" value="${escapeHTML(url)}" placeholder="https://"></div>`
+            + `<div class="inline-form"><input type="text" id="sync-username" autocomplete="username" value="${escapeHTML(username)}" placeholder="${tr('sync.username')}"><input type="password" id="sync-secret" autocomplete="current-password" value="${escapeHTML(secret)}" placeholder="${tr('sync.secret')}"></div>`
+            + `<div class="inline-form"><button type="submit" style="flex-grow: 1;">${tr('common.save')}</button><button type="button" id="btn-sync-now" class="button-secondary">${tr('sync.now')}</button></div></form>`
+            + `<p id="sync-status" style="margin-top: 10px;"></p><p style="margin-top: 15px;">${tr('sync.conflictsIntro')}</p><ul id="sync-conflicts" class="transaction-list"></ul>`;
+    }
+    renderSyncStatus() {
+        const statusEl = document.getElementById('sync-status'); if(!statusEl) return;
+        const { sync } = this.app;
+        const configured = sync.isConfigured();
+        let text;
+        if (!configured) text = tr('sync.status.disabled');
+        else if (sync.status === 'idle') text = sync.meta.lastSyncAt ? tr('sync.status.idle', { date: new Date(sync.meta.lastSyncAt).toLocaleString(i18n.locale) }) : tr('sync.status.never');
+        else text = tr(`sync.status.${sync.status}`, { message: sync.error });
+        // A fila existe mesmo com a sincronização desligada, mas só faz sentido mostrá-la quando há para onde enviar
+        if (configured && sync.pending.size) text += ` ${tr('sync.pending', { count: sync.pending.size })}`;
+        statusEl.textContent = text;
+        document.getElementById('btn-sync-now').disabled = !configured || sync.running;
+    }
+    renderSyncConflicts() {
+        const listEl = document.getElementById('sync-conflicts'); if(!listEl) return;
+        const { conflicts } = this.app.sync.meta;
+        if (conflicts.length === 0) { listEl.innerHTML = `<p style="opacity: 0.7; text-align: center; margin: 15px 0;">${tr('sync.noConflicts')}</p>`; return; }
+        // A versão que venceu já está valendo; o usuário pode trocá-la pela descartada ou só dispensar o aviso
+        listEl.innerHTML = [...conflicts].reverse().map(c => `<li class="transaction-item"><div class="transaction-details">${escapeHTML(`${tr(`sync.collections.${c.collection}`)}: ${describeSyncRecord(c, (id) => this.app.getCategory(id))}`)}<br><small style="opacity:0.6">${escapeHTML(tr(`sync.kept.${c.kept}`, { kept: describeSyncVersion(c.keptRecord), discarded: describeSyncVersion(c.discardedRecord) }))}</small></div><button class="use-conflict-btn" data-id="${escapeHTML(c.id)}" title="${tr('sync.useDiscarded')}">⇄</button><button class="dismiss-conflict-btn" data-id="${escapeHTML(c.id)}" title="${tr('sync.dismiss')}">✓</button></li>`).join('');
+    }
+    renderAccountOptions(selectedId = this.app.state.accounts[0].id, predicate = () => true) {
+        return this.app.state.accounts.filter(predicate).map(a => `<option value="${escapeHTML(a.id)}" ${a.id === selectedId ? 'selected' : ''}>${escapeHTML(`${ACCOUNT_TYPES[a.type].icon} ${a.name}${a.currency !== i18n.baseCurrency ? ` (${a.currency})` : ''}`)}</option>`).join('');
+    }
+    renderAccountList() {
+        const listEl = document.getElementById('account-list'); if(!listEl) return;
+        const invoices = this.app.getInvoices();
+        const today = new Date();
+        listEl.innerHTML = this.app.state.accounts.map(a => {
+            const balance = this.app.getAccountBalance(a, invoices);
+            let detail = `${tr(`accountTypes.${a.type}`)} • ${a.currency}`;
+            if (a.type === 'credit') {
+                const nextInvoice = invoices.find(inv => inv.accountId === a.id && inv.dueDate >= today);
+                detail += ` • ${tr('accounts.cycle', { closing: a.closingDay, due: a.dueDay })}`;
+                if (nextInvoice) detail += ` • ${tr('accounts.nextInvoice', { amount: formatCurrency(nextInvoice.amount, nextInvoice.currency), date: nextInvoice.dueDate.toLocaleDateString(i18n.locale) })}`;
+            }
+            return `<li class="transaction-item"><div class="transaction-details">${escapeHTML(`${ACCOUNT_TYPES[a.type].icon} ${a.name}`)}<br><small style="opacity:0.6">${escapeHTML(detail)}</small></div><div class="transaction-amount ${balance >= 0 ? 'income' : 'expense'}">${formatCurrency(balance, a.currency)}</div><button class="edit-account-btn" data-id="${escapeHTML(a.id)}" title="${tr('settings.editOpening')}">✎</button><button class="delete-account-btn" data-id="${escapeHTML(a.id)}" title="${tr('settings.deleteAccount')}">&times;</button></li>`;
+        }).join('');
+    }
+    renderBudgetList() {
+        const listEl = document.getElementById('budget-list'); if(!listEl) return;
+        const { budgets } = this.app.state;
+        if (budgets.length === 0) { listEl.innerHTML = `<p style="opacity: 0.7; text-align: center; margin: 15px 0;">${tr('settings.noBudgets')}</p>`; return; }
+        listEl.innerHTML = budgets.map(b => {
+            const label = b.categoryId ? (({ icon, name }) => `${icon} ${name}`)(this.app.getCategory(b.categoryId)) : `📊 ${tr('budgets.generalShort')}`;
+            return `<li class="transaction-item"><div class="transaction-details">${escapeHTML(label)}${b.rollover ? ` <small style="opacity:0.6">(${tr('settings.rollover')})</small>` : ''}</div><div class="transaction-amount">${formatCurrency(b.amount)}</div><button class="delete-budget-btn" data-id="${escapeHTML(b.id)}" title="${tr('settings.deleteBudget')}">&times;</button></li>`;
+        }).join('');
     }
     renderRecurringList() {
         const listEl = document.getElementById('recurring-list'); if(!listEl) return;
         listEl.innerHTML = '';
-        const expenses = this.app.state.recurringExpenses.sort((a,b) => a.day - b.day);
-        if (expenses.length === 0) { listEl.innerHTML = `<p style="opacity: 0.7; text-align: center; margin: 15px 0;">Nenhuma regra recorrente.</p>`; return; }
+        const expenses = this.app.state.recurringExpenses.sort((a,b) => getOccurrenceDate(a, 1).getDate() - getOccurrenceDate(b, 1).getDate());
+        if (expenses.length === 0) { listEl.innerHTML = `<p style="opacity: 0.7; text-align: center; margin: 15px 0;">${tr('settings.noRecurring')}</p>`; return; }
         expenses.forEach(exp => {
             const itemClone = this.recurringItemTemplate.content.cloneNode(true);
-            itemClone.querySelector('.recurring-description').textContent = `${exp.description} (Dia ${exp.day}) `;
-            itemClone.querySelector('.recurring-end-date').textContent = `${exp.appliedCount} de ${exp.installments} parcelas aplicadas.`;
-            const amountEl = itemClone.querySelector('.transaction-amount'); amountEl.textContent = formatCurrency(exp.amount); amountEl.classList.add('expense');
+            itemClone.querySelector('.recurring-description').textContent = `${this.app.getCategory(exp.categoryId).icon} ${exp.description} `;
+            const settled = this.app.countSettledOccurrences(exp.id);
+            itemClone.querySelector('.recurring-end-date').textContent = `${describeRecurrence(exp)} • ${tr(exp.installments === null ? 'recurring.progressOpen' : 'recurring.progress', { settled, total: exp.installments })}`;
+            const amountEl = itemClone.querySelector('.transaction-amount'); amountEl.textContent = formatCurrency(exp.amount, exp.currency); amountEl.classList.add(exp.amount >= 0 ? 'income' : 'expense');
             itemClone.querySelector('.delete-btn').dataset.id = exp.id;
+            itemClone.querySelector('.edit-recurring-btn').dataset.id = exp.id;
             listEl.appendChild(itemClone);
         });
     }
+    renderHistoryList() {
+        const listEl = document.getElementById('history-list'); if(!listEl) return;
+        const { entries, undoStack, redoStack } = this.app.history;
+        document.getElementById('btn-undo').disabled = undoStack.length === 0;
+        document.getElementById('btn-redo').disabled = redoStack.length === 0;
+        if (entries.length === 0) { listEl.innerHTML = `<p style="opacity: 0.7; text-align: center; margin: 15px 0;">${tr('history.empty')}</p>`; return; }
+        // Mais recentes primeiro; restaurar uma entrada devolve os dados ao estado logo depois dela
+        listEl.innerHTML = [...entries].reverse().map((entry, i) => `<li class="transaction-item"><div class="transaction-details">${escapeHTML(describeHistoryEntry(entry))}<br><small style="opacity:0.6">${new Date(entry.date).toLocaleString(i18n.locale)} • ${tr('history.records', { count: entry.changes.length })}</small></div>${i > 0 ? `<button class="restore-history-btn" data-id="${entry.id}" title="${tr('history.restore')}">⟲</button>` : ''}</li>`).join('');
+    }
 }
 
 class NavView {
-    constructor(appInstance) { this.app = appInstance; this.fab = document.getElementById('fab-add-tx'); this.navTransactions = document.getElementById('nav-transactions'); this.navCalendar = document.getElementById('nav-calendar'); this.btnSettings = document.getElementById('btn-settings'); }
+    constructor(appInstance) { this.app = appInstance; this.fab = document.getElementById('fab-add-tx'); this.navTransactions = document.getElementById('nav-transactions'); this.navCalendar = document.getElementById('nav-calendar'); this.navForecast = document.getElementById('nav-forecast'); this.navReports = document.getElementById('nav-reports'); this.btnSettings = document.getElementById('btn-settings'); }
     bindEvents() {
         this.fab.onclick = () => this.app.modalManager.open('add-tx');
         this.navTransactions.onclick = () => this.app.modalManager.open('transactions');
+        this.navForecast.onclick = () => this.app.modalManager.open('forecast');
+        this.navReports.onclick = () => this.app.modalManager.open('reports');
         this.btnSettings.onclick = () => this.app.modalManager.open('settings');
         this.navCalendar.onclick = () => { this.app.modalManager.close(); window.scrollTo({ top: 0, behavior: 'smooth' }); };
+        document.addEventListener('keydown', e => {
+            // Ctrl+Z desfaz, Ctrl+Shift+Z ou Ctrl+Y refaz; dentro de campos vale o desfazer do próprio navegador
+            if (!(e.ctrlKey || e.metaKey) || e.target.closest('input, textarea, select')) return;
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) { e.preventDefault(); this.app.undo(); }
+            else if (key === 'y' || (key === 'z' && e.shiftKey)) { e.preventDefault(); this.app.redo(); }
+        });
         document.body.addEventListener('submit', e => {
             e.preventDefault();
             if (e.target.id === 'transaction-form') {
                 const form = e.target;
                 const isRecurring = form['is-recurring'].checked;
-                if (isRecurring) {
-                    this.app.addRecurringExpense({ description: form.description.value, amount: parseFloat(form.amount.value), day: parseInt(form['recurring-day'].value), installments: parseInt(form['installments'].value) });
+                const classification = { currency: form.currency.value, categoryId: form.category.value, tags: parseTags(form.tags.value), accountId: form.account.value, reminder: readReminderFields(form) };
+                if (form['is-transfer'].checked) {
+                    this.app.addTransfer({ date: parseFormDate(form.date.value), description: form.description.value, amount: parseFloat(form.amount.value), fromAccountId: form.account.value, toAccountId: form['transfer-to'].value });
+                } else if (isRecurring) {
+                    const amount = Math.abs(parseFloat(form.amount.value)) * (form['recurring-type'].value === 'income' ? 1 : -1);
+                    this.app.addRecurringExpense({ description: form.description.value, amount, startDate: parseFormDate(form.date.value), ...readRecurrenceFields(form), ...classification });
                 } else {
-                    this.app.addTransaction({ date: new Date(form.date.value + 'T00:00:00-03:00'), description: form.description.value, amount: parseFloat(form.amount.value) });
+                    this.app.addTransaction({ date: parseFormDate(form.date.value), description: form.description.value, amount: parseFloat(form.amount.value), ...classification });
                 }
             }
+            if (e.target.id === 'forecast-simulation-form') {
+                const form = e.target;
+                const amount = parseFloat(form['sim-amount'].value); const installments = parseInt(form['sim-installments'].value);
+                if (isNaN(amount) || amount <= 0 || isNaN(installments) || installments < 1) return;
+                this.app.modalManager.forecastSimulation = { amount, installments };
+                this.app.modalManager.renderForecast();
+            }
+            if (e.target.id === 'edit-transaction-form') {
+                const form = e.target;
+                const changes = { date: parseFormDate(form.date.value), description: form.description.value, amount: parseFloat(form.amount.value) };
+                if (form.category) Object.assign(changes, { currency: form.currency.value, categoryId: form.category.value, tags: parseTags(form.tags.value), accountId: form.account.value });
+                if (form['reminder-days']) changes.reminder = readReminderFields(form);
+                this.app.updateTransaction(this.app.modalManager.editingId, changes, form['edit-scope'] ? form['edit-scope'].value : 'single');
+            }
+            if (e.target.id === 'restore-passphrase-form') this.app.modalManager.decodeRestore(e.target['restore-passphrase'].value);
+            if (e.target.id === 'edit-recurring-form') {
+                const form = e.target;
+                const { installments, ...recurrence } = readRecurrenceFields(form);
+                this.app.updateRecurringRule(this.app.modalManager.editingId, { description: form.description.value, amount: parseFloat(form.amount.value), currency: form.currency.value, ...recurrence, remainingInstallments: installments, categoryId: form.category.value, tags: parseTags(form.tags.value), accountId: form.account.value, reminder: readReminderFields(form) });
+            }
+            if (e.target.id === 'statement-mapping-form') this.app.modalManager.applyStatementMapping(e.target);
+            if (e.target.id === 'account-form') {
+                const form = e.target;
+                this.app.addAccount({ name: form['account-name'].value, type: form['account-type'].value, currency: form['account-currency'].value, openingBalance: parseFloat(form['account-opening'].value), closingDay: parseInt(form['account-closing-day'].value), dueDay: parseInt(form['account-due-day'].value), paymentAccountId: form['account-payment'].value });
+            }
+            if (e.target.id === 'budget-form') {
+                const form = e.target;
+                this.app.addBudget({ categoryId: form['budget-category'].value, amount: parseFloat(form['budget-amount'].value), rollover: form['budget-rollover'].checked });
+            }
+            if (e.target.id === 'category-form') {
+                const form = e.target;
+                this.app.addCategory({ name: form['category-name'].value, color: form['category-color'].value, icon: form['category-icon'].value });
+            }
+            if (e.target.id === 'saved-filter-form') {
+                this.app.saveTransactionFilter(e.target['saved-filter-name'].value, this.app.modalManager.getTransactionFilter());
+                e.target.reset();
+            }
+            if (e.target.id === 'sync-form') {
+                const form = e.target;
+                this.app.configureSync({ transport: form['sync-transport'].value, url: form['sync-url'].value.trim(), username: form['sync-username'].value.trim(), secret: form['sync-secret'].value });
+            }
+            if (e.target.id === 'preferences-form') {
+                const form = e.target;
+                const exchangeRates = Object.fromEntries([...form.querySelectorAll('.exchange-rate')].map(input => [input.dataset.currency, parseFloat(input.value)]));
+                this.app.updatePreferences({ locale: form['pref-locale'].value, weekStart: parseInt(form['pref-week-start'].value, 10), baseCurrency: form['pref-base-currency'].value, exchangeRates });
+            }
         });
         document.body.addEventListener('click', e => {
-             if (e.target.id === 'btn-export') { const dataStr = JSON.stringify(this.app.state, null, 2); const dataUri = 'data:application/json;charset=utf-8,' + encodeURIComponent(dataStr); const link = document.createElement('a'); link.setAttribute('href', dataUri); link.setAttribute('download', `finix_backup_${new Date().toISOString().slice(0,10)}.json`); link.click(); }
+             if (e.target.id === 'btn-export') {
+                 const passphrase = document.getElementById('backup-passphrase').value;
+                 BackupCodec.encode(this.app.dataManager.toBackup(this.app.state), passphrase)
+                     .then(text => downloadBlob(new Blob([text], { type: 'application/json' }), `finix_backup_${new Date().toISOString().slice(0,10)}${passphrase ? tr('backup.protectedSuffix') : ''}.json`))
+                     .catch(err => { console.error('Erro ao exportar:', err); alert(tr('backup.exportFailed')); });
+             }
+             const restoreModeBtn = e.target.closest('#restore-mode button'); if(restoreModeBtn) { this.app.modalManager.restore.mode = restoreModeBtn.dataset.mode; this.app.modalManager.renderRestore(); }
+             if (e.target.id === 'btn-restore-cancel') this.app.modalManager.close();
+             if (e.target.id === 'btn-restore-confirm') {
+                 const { backup, mode } = this.app.modalManager.restore;
+                 if (mode === 'replace' && !confirm(tr('restore.replaceConfirm'))) return;
+                 this.app.restoreBackup(backup, mode);
+             }
              if (e.target.id === 'btn-import') document.getElementById('import-file-input').click();
+             if (e.target.id === 'btn-skip-occurrence') this.app.toggleSkipOccurrence(this.app.modalManager.editingId);
+             if (e.target.id === 'btn-pay-early') this.app.payOccurrenceEarly(this.app.modalManager.editingId);
+             const listEditBtn = e.target.closest('#monthly-transactions-container .edit-transaction-btn'); if(listEditBtn) this.app.modalManager.openEditTransaction(listEditBtn.closest('.transaction-item').dataset.id);
+             const recurEditBtn = e.target.closest('.edit-recurring-btn'); if(recurEditBtn) this.app.modalManager.openEditRecurring(parseInt(recurEditBtn.dataset.id, 10));
+             if (e.target.id === 'btn-import-statement') this.app.modalManager.openStatementImport();
+             if (e.target.id === 'btn-statement-choose') document.getElementById('statement-file-input').click();
+             if (e.target.id === 'btn-statement-restart') { this.app.modalManager.statementImport.step = 'file'; this.app.modalManager.renderStatementImport(); }
+             if (e.target.id === 'btn-statement-back') {
+                 const imp = this.app.modalManager.statementImport;
+                 imp.step = imp.format === 'csv' ? 'mapping' : 'file';
+                 this.app.modalManager.renderStatementImport();
+             }
+             if (e.target.id === 'btn-statement-commit') {
+                 const imp = this.app.modalManager.statementImport;
+                 this.app.importStatement(imp.preview.filter(r => r.selected), imp.accountId);
+             }
              const recurDelBtn = e.target.closest('.delete-btn'); if(recurDelBtn) this.app.deleteRecurringExpense(parseInt(recurDelBtn.dataset.id, 10));
+             const horizonBtn = e.target.closest('#forecast-horizon button');
+             if (horizonBtn) {
+                 this.app.modalManager.forecastMonths = parseInt(horizonBtn.dataset.months, 10);
+                 horizonBtn.parentElement.querySelectorAll('button').forEach(b => b.classList.toggle('active', b === horizonBtn));
+                 this.app.modalManager.renderForecast();
+             }
+             const presetBtn = e.target.closest('#report-presets button');
+             if (presetBtn) {
+                 this.app.modalManager.reportRange = getPresetRange(presetBtn.dataset.months === 'year' ? 'year' : parseInt(presetBtn.dataset.months, 10));
+                 document.getElementById('report-start').value = dateKey(this.app.modalManager.reportRange.start);
+                 document.getElementById('report-end').value = dateKey(this.app.modalManager.reportRange.end);
+                 this.app.modalManager.renderReports();
+             }
+             const chartExportBtn = e.target.closest('.chart-export'); if(chartExportBtn) this.app.modalManager.exportReportChart(chartExportBtn.dataset.chart, chartExportBtn.dataset.format);
+             const accountEditBtn = e.target.closest('.edit-account-btn'); if(accountEditBtn) this.app.editAccountOpeningBalance(accountEditBtn.dataset.id);
+             const accountDelBtn = e.target.closest('.delete-account-btn'); if(accountDelBtn) this.app.deleteAccount(accountDelBtn.dataset.id);
+             const budgetDelBtn = e.target.closest('.delete-budget-btn'); if(budgetDelBtn) this.app.deleteBudget(parseInt(budgetDelBtn.dataset.id, 10));
+             const categoryDelBtn = e.target.closest('.delete-category-btn'); if(categoryDelBtn) this.app.deleteCategory(categoryDelBtn.dataset.id);
+             const applyFilterBtn = e.target.closest('.apply-filter-btn'); if(applyFilterBtn) this.app.modalManager.applyTransactionFilter(this.app.state.savedFilters.find(f => f.id === parseInt(applyFilterBtn.dataset.id, 10)).filter);
+             const filterDelBtn = e.target.closest('.delete-filter-btn'); if(filterDelBtn) this.app.deleteTransactionFilter(parseInt(filterDelBtn.dataset.id, 10));
+             if (e.target.id === 'btn-clear-filter') this.app.modalManager.applyTransactionFilter({});
+             if (e.target.id === 'btn-undo') this.app.undo();
+             if (e.target.id === 'btn-redo') this.app.redo();
+             const historyRestoreBtn = e.target.closest('.restore-history-btn'); if(historyRestoreBtn) this.app.restoreHistoryEntry(parseInt(historyRestoreBtn.dataset.id, 10));
+             if (e.target.id === 'btn-sync-now') this.app.syncNow();
+             const useConflictBtn = e.target.closest('.use-conflict-btn'); if(useConflictBtn) this.app.useConflictVersion(useConflictBtn.dataset.id);
+             const dismissConflictBtn = e.target.closest('.dismiss-conflict-btn'); if(dismissConflictBtn) this.app.dismissConflict(dismissConflictBtn.dataset.id);
+        });
+        document.body.addEventListener('change', e => { if (e.target.id === 'import-file-input') { const file = e.target.files[0]; if (!file) return; const reader = new FileReader(); reader.onload = (event) => this.app.modalManager.openRestore(event.target.result); reader.readAsText(file); e.target.value = ''; } });
+        document.body.addEventListener('change', e => {
+            const modalManager = this.app.modalManager;
+            if (e.target.id === 'statement-file-input') {
+                const file = e.target.files[0]; if (!file) return;
+                // Muitos bancos brasileiros ainda exportam em ISO-8859-1; o OFX informa isso no cabeçalho
+                const reader = new FileReader();
+                reader.onload = (event) => {
+                    const text = event.target.result;
+                    if (text.includes('\uFFFD')) { const latin = new FileReader(); latin.onload = (ev) => modalManager.loadStatementFile(file.name, ev.target.result); latin.readAsText(file, 'ISO-8859-1'); return; }
+                    modalManager.loadStatementFile(file.name, text);
+                };
+                reader.readAsText(file);
+            }
+            if (e.target.id === 'csv-delimiter' || e.target.id === 'csv-has-header') {
+                const imp = modalManager.statementImport;
+                imp.delimiter = document.getElementById('csv-delimiter').value === 'tab' ? '\t' : document.getElementById('csv-delimiter').value;
+                imp.hasHeader = document.getElementById('csv-has-header').checked;
+                modalManager.parseStatementCSV();
+            }
+            if (e.target.id === 'csv-amount-mode') {
+                document.querySelector('.csv-single-fields').style.display = e.target.value === 'single' ? '' : 'none';
+                document.querySelector('.csv-split-fields').style.display = e.target.value === 'split' ? '' : 'none';
+            }
+            if (e.target.id === 'statement-account') modalManager.statementImport.accountId = e.target.value;
+            if (e.target.classList.contains('statement-row-check')) {
+                modalManager.statementImport.preview[e.target.dataset.index].selected = e.target.checked;
+                const commitBtn = document.getElementById('btn-statement-commit');
+                const count = modalManager.statementImport.preview.filter(r => r.selected).length;
+                commitBtn.textContent = tr('statement.importCount', { count });
+                commitBtn.disabled = count === 0;
+            }
+        });
+        document.body.addEventListener('input', e => { if (['filter', 'filter-min', 'filter-max'].includes(e.target.id)) this.app.modalManager.renderTransactionList(); });
+        document.body.addEventListener('change', e => { if (['filter-category', 'filter-tag', 'filter-account', 'filter-type', 'filter-origin', 'filter-sort', 'filter-start', 'filter-end'].includes(e.target.id)) this.app.modalManager.renderTransactionList();
+            if (e.target.id === 'report-start' || e.target.id === 'report-end') {
+                const start = document.getElementById('report-start').valueAsDate; const end = document.getElementById('report-end').valueAsDate;
+                if (!start || !end || start > end) return;
+                this.app.modalManager.reportRange = { start: new Date(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate(), 0, 0, 0), end: new Date(end.getUTCFullYear(), end.getUTCMonth(), end.getUTCDate(), 23, 59, 59) };
+                this.app.modalManager.renderReports();
+            }
+            if (e.target.id === 'frequency') document.querySelector('.recurrence-day-fields').style.display = RECURRENCE_FREQUENCIES[e.target.value].days ? 'none' : '';
+            if (e.target.id === 'day-mode') document.getElementById('recurring-day').disabled = e.target.value === 'last';
+            if (e.target.id === 'open-ended') document.getElementById('installments').disabled = e.target.checked;
+            if (e.target.id === 'account-type') document.getElementById('credit-card-fields').classList.toggle('visible', e.target.value === 'credit');
         });
-        document.body.addEventListener('change', e => { if (e.target.id === 'import-file-input') { const file = e.target.files[0]; if (!file) return; const reader = new FileReader(); reader.onload = (event) => this.app.importData(event.target.result); reader.readAsText(file); } });
-        document.body.addEventListener('input', e => { if (e.target.id === 'filter') this.app.modalManager.renderTransactionList(e.target.value); });
     }
 }
-const formatCurrency = (value) => value.toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' });
+// Texto do catálogo do idioma escolhido, com `{nome}` substituído por `params.nome`. Chaves ausentes caem no pt-BR.
+const tr = (key, params = {}) => (LOCALES[i18n.locale][key] ?? LOCALES[DEFAULT_LOCALE][key] ?? key).replace(/\{(\w+)\}/g, (match, name) => name in params ? params[name] : match);
+const applyPreferences = (preferences) => {
+    Object.assign(i18n, preferences);
+    document.documentElement.lang = i18n.locale;
+    // Textos fixos do index.html, inclusive os de dentro dos <template>
+    [document, ...[...document.querySelectorAll('template')].map(template => template.content)].forEach(root => {
+        root.querySelectorAll('[data-i18n]').forEach(el => el.textContent = tr(el.dataset.i18n));
+        root.querySelectorAll('[data-i18n-title]').forEach(el => el.title = tr(el.dataset.i18nTitle));
+    });
+};
+const formatCurrency = (value, currency = i18n.baseCurrency) => value.toLocaleString(i18n.locale, { style: 'currency', currency });
+// Versão curta para caber nas células do calendário (ex: 1,2 mil)
+const formatCompactCurrency = (value) => value.toLocaleString(i18n.locale, { notation: 'compact', maximumFractionDigits: 1 });
+// As cotações informam quanto vale 1 unidade de cada moeda na moeda base. Sem cotação, a conversão é 1:1.
+const exchangeRate = (currency) => currency === i18n.baseCurrency ? 1 : i18n.exchangeRates[currency] || 1;
+const convertAmount = (amount, from, to) => from === to ? amount : amount * exchangeRate(from) / exchangeRate(to);
+const toBase = (amount, currency) => convertAmount(amount, currency, i18n.baseCurrency);
+const monthKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+// Cria a data no meio-dia do dia informado, limitando ao último dia do mês (ex: dia 31 em fevereiro)
+const clampedDate = (year, month, day) => new Date(year, month, Math.min(day, new Date(year, month + 1, 0).getDate()), 12, 0, 0);
+const dateKey = (date) => `${monthKey(date)}-${String(date.getDate()).padStart(2, '0')}`;
+// Converte 'AAAA-MM-DD' (como em <input type="date">) para o início ou o fim do dia local
+const parseDateKey = (key, endOfDay = false) => { const [year, month, day] = key.split('-').map(Number); return endOfDay ? new Date(year, month - 1, day, 23, 59, 59, 999) : new Date(year, month - 1, day); };
+// O <input type="date"> entrega AAAA-MM-DD; meio-dia local mantém o dia escolhido em qualquer fuso
+const parseFormDate = (value) => { const [year, month, day] = value.split('-').map(Number); return new Date(year, month - 1, day, 12, 0, 0); };
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+// Ids gerados pelo app: números ou textos curtos sem caracteres de marcação
+const isSafeId = (id) => Number.isFinite(id) || (typeof id === 'string' && /^[\w.-]{1,100}$/.test(id));
+const sanitizeColor = (color) => /^#[0-9a-f]{6}$/i.test(color) ? color : DEFAULT_CATEGORY_COLOR;
+const parseLegacyData = (text) => {
+    try { const data = JSON.parse(text); return data && typeof data === 'object' && !Array.isArray(data) ? data : null; } catch (err) { console.error('Erro ao ler os dados antigos:', err); return null; }
+};
+const escapeHTML = (text) => String(text).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+const normalizeDescription = (text) => text.toLowerCase().replace(/\s+/g, ' ').trim();
+const isWeekend = (date) => date.getDay() === 0 || date.getDay() === 6;
+const adjustForWeekend = (date, mode) => {
+    const adjusted = new Date(date);
+    while (mode !== 'none' && isWeekend(adjusted)) adjusted.setDate(adjusted.getDate() + (mode === 'forward' ? 1 : -1));
+    return adjusted;
+};
+// N-ésimo dia útil (segunda a sexta) do mês. Feriados não são considerados.
+const nthBusinessDay = (year, month, n) => {
+    const date = new Date(year, month, 1, 12, 0, 0);
+    let count = isWeekend(date) ? 0 : 1;
+    while (count < n && date.getMonth() === month) {
+        date.setDate(date.getDate() + 1);
+        if (!isWeekend(date)) count++;
+    }
+    return date.getMonth() === month ? date : adjustForWeekend(new Date(year, month + 1, 0, 12, 0, 0), 'backward');
+};
+// Início do período da ocorrência: a própria data nas frequências semanais, o primeiro dia do mês nas demais
+const getPeriodStart = (frequency, date) => RECURRENCE_FREQUENCIES[frequency].days
+    ? new Date(date.getFullYear(), date.getMonth(), date.getDate(), 12, 0, 0)
+    : new Date(date.getFullYear(), date.getMonth(), 1, 12, 0, 0);
+const getOccurrenceDate = (rule, installment) => {
+    const start = new Date(rule.startDate);
+    const { days, months } = RECURRENCE_FREQUENCIES[rule.frequency];
+    if (days) return adjustForWeekend(new Date(start.getFullYear(), start.getMonth(), start.getDate() + (installment - 1) * days, 12, 0, 0), rule.weekendAdjustment);
+    const year = start.getFullYear(); const month = start.getMonth() + (installment - 1) * months;
+    if (rule.dayMode === 'business') return nthBusinessDay(new Date(year, month, 1).getFullYear(), new Date(year, month, 1).getMonth(), rule.day);
+    const date = rule.dayMode === 'last' ? new Date(year, month + 1, 0, 12, 0, 0) : clampedDate(year, month, rule.day);
+    return adjustForWeekend(date, rule.weekendAdjustment);
+};
+// Mudar a data de uma parcela na edição da série desloca a regra inteira
+const getRescheduleChanges = (rule, scheduledDate, newDate) => {
+    if (RECURRENCE_FREQUENCIES[rule.frequency].days) {
+        const start = new Date(rule.startDate);
+        const shift = Math.round((new Date(newDate.getFullYear(), newDate.getMonth(), newDate.getDate()) - new Date(scheduledDate.getFullYear(), scheduledDate.getMonth(), scheduledDate.getDate())) / 86400000);
+        return { startDate: new Date(start.getFullYear(), start.getMonth(), start.getDate() + shift, 12, 0, 0).toISOString() };
+    }
+    return rule.dayMode === 'fixed' ? { day: newDate.getDate() } : {};
+};
+const describeRecurrence = (rule) => {
+    const frequency = tr(`frequencies.${rule.frequency}`);
+    if (RECURRENCE_FREQUENCIES[rule.frequency].days) return `${frequency}, ${new Date(rule.startDate).toLocaleDateString(i18n.locale, { weekday: 'long' })}`;
+    return `${frequency}, ${tr(`recurrence.${rule.dayMode}Day`, { day: rule.day })}`;
+};
+const readRecurrenceFields = (form) => ({
+    frequency: form.frequency.value, dayMode: form['day-mode'].value, day: parseInt(form['recurring-day'].value) || 1,
+    weekendAdjustment: form['weekend-adjustment'].value, installments: form['open-ended'].checked ? null : parseInt(form.installments.value)
+});
+// Período dos relatórios: os últimos N meses (incluindo o atual) ou o ano corrente
+const getPresetRange = (months) => {
+    const today = new Date();
+    const start = months === 'year' ? new Date(today.getFullYear(), 0, 1, 0, 0, 0) : new Date(today.getFullYear(), today.getMonth() - months + 1, 1, 0, 0, 0);
+    return { start, end: new Date(today.getFullYear(), today.getMonth() + 1, 0, 23, 59, 59) };
+};
+// Gráficos em SVG puro, sem dependências. As cores são fixas (sem variáveis CSS) para que a exportação fique idêntica.
+const svgDocument = (width, height, body) => ({ width, height, svg: `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" font-family="Arial, sans-serif" font-size="11"><rect width="100%" height="100%" fill="${CHART_COLORS.background}"/>${body}</svg>` });
+const emptyChart = (message) => svgDocument(360, 80, `<text x="180" y="45" text-anchor="middle" fill="${CHART_COLORS.muted}">${escapeHTML(message)}</text>`);
+// Linhas de grade horizontais com os valores no eixo Y
+const renderGrid = (min, max, top, bottom, left, right) => {
+    const scale = value => bottom - (value - min) / (max - min || 1) * (bottom - top);
+    let body = '';
+    for (let i = 0; i <= 4; i++) {
+        const value = min + (max - min) * i / 4; const y = scale(value).toFixed(1);
+        body += `<line x1="${left}" x2="${right}" y1="${y}" y2="${y}" stroke="${CHART_COLORS.grid}"/><text x="${left - 6}" y="${y}" dy="4" text-anchor="end" fill="${CHART_COLORS.muted}">${formatCompactCurrency(value)}</text>`;
+    }
+    return { body, scale };
+};
+const renderBarChart = (groups, colors) => {
+    if (!groups.some(g => g.values.some(v => v > 0))) return emptyChart(tr('reports.noTransactions'));
+    const width = 360, height = 220, left = 50, right = width - 10, top = 15, bottom = height - 30;
+    const { body: grid, scale } = renderGrid(0, Math.max(...groups.flatMap(g => g.values)), top, bottom, left, right);
+    const slot = (right - left) / groups.length; const barWidth = Math.min(18, slot * 0.8 / colors.length);
+    const labelEvery = Math.ceil(groups.length / 12);
+    const bars = groups.map((g, i) => g.values.map((value, j) => {
+        const x = left + slot * i + (slot - barWidth * colors.length) / 2 + barWidth * j;
+        return `<rect x="${x.toFixed(1)}" y="${scale(value).toFixed(1)}" width="${barWidth.toFixed(1)}" height="${(bottom - scale(value)).toFixed(1)}" fill="${colors[j]}"><title>${escapeHTML(`${g.label}: ${formatCurrency(value)}`)}</title></rect>`;
+    }).join('') + (i % labelEvery === 0 ? `<text x="${(left + slot * (i + 0.5)).toFixed(1)}" y="${bottom + 16}" text-anchor="middle" fill="${CHART_COLORS.text}">${escapeHTML(g.label)}</text>` : '')).join('');
+    return svgDocument(width, height, grid + bars);
+};
+const renderLineChart = (points) => {
+    const width = 360, height = 220, left = 50, right = width - 10, top = 15, bottom = height - 30;
+    const values = points.map(p => p.value);
+    const { body: grid, scale } = renderGrid(Math.min(0, ...values), Math.max(0, ...values), top, bottom, left, right);
+    const x = i => left + (right - left) * (points.length === 1 ? 0.5 : i / (points.length - 1));
+    const line = `<line x1="${left}" x2="${right}" y1="${scale(0).toFixed(1)}" y2="${scale(0).toFixed(1)}" stroke="${CHART_COLORS.muted}"/><polyline points="${points.map((p, i) => `${x(i).toFixed(1)},${scale(p.value).toFixed(1)}`).join(' ')}" fill="none" stroke="${CHART_COLORS.primary}" stroke-width="2"/>`;
+    const dots = points.map((p, i) => `<circle cx="${x(i).toFixed(1)}" cy="${scale(p.value).toFixed(1)}" r="3" fill="${p.value >= 0 ? CHART_COLORS.income : CHART_COLORS.expense}"><title>${escapeHTML(`${p.label}: ${formatCurrency(p.value)}`)}</title></circle>` + (i % 2 === points.length % 2 ? '' : `<text x="${x(i).toFixed(1)}" y="${bottom + 16}" text-anchor="middle" fill="${CHART_COLORS.text}">${escapeHTML(p.label)}</text>`)).join('');
+    return svgDocument(width, height, grid + line + dots);
+};
+const renderDonutChart = (slices) => {
+    const total = slices.reduce((sum, s) => sum + s.value, 0);
+    if (total <= 0) return emptyChart(tr('reports.noExpenses'));
+    // Categorias além da sexta são agrupadas em "Outros" para a legenda caber
+    const shown = slices.length > 7 ? [...slices.slice(0, 6), { label: tr('reports.others'), value: slices.slice(6).reduce((sum, s) => sum + s.value, 0), color: CHART_COLORS.muted }] : slices;
+    const radius = 60, circumference = 2 * Math.PI * radius; let offset = 0;
+    const arcs = shown.map(s => {
+        const length = s.value / total * circumference;
+        const arc = `<circle cx="90" cy="100" r="${radius}" fill="none" stroke="${escapeHTML(sanitizeColor(s.color))}" stroke-width="30" stroke-dasharray="${length.toFixed(2)} ${(circumference - length).toFixed(2)}" stroke-dashoffset="${(-offset).toFixed(2)}" transform="rotate(-90 90 100)"><title>${escapeHTML(`${s.label}: ${formatCurrency(s.value)}`)}</title></circle>`;
+        offset += length;
+        return arc;
+    }).join('');
+    const legend = shown.map((s, i) => `<rect x="175" y="${32 + i * 22}" width="10" height="10" rx="2" fill="${escapeHTML(sanitizeColor(s.color))}"/><text x="191" y="${41 + i * 22}" fill="${CHART_COLORS.text}">${escapeHTML(s.label.length > 18 ? s.label.slice(0, 17) + '…' : s.label)} (${Math.round(s.value / total * 100)}%)</text>`).join('');
+    return svgDocument(360, 200, arcs + `<text x="90" y="104" text-anchor="middle" fill="${CHART_COLORS.text}" font-weight="bold">${formatCompactCurrency(total)}</text>` + legend);
+};
+const renderHorizontalBarChart = (items) => {
+    if (items.length === 0) return emptyChart(tr('reports.noExpenses'));
+    const width = 360, rowHeight = 24, left = 130, right = width - 70, height = items.length * rowHeight + 10;
+    const max = Math.max(...items.map(i => i.value));
+    const rows = items.map((item, i) => {
+        const y = 5 + i * rowHeight; const barWidth = Math.max(1, (right - left) * item.value / max);
+        return `<text x="${left - 6}" y="${y + 15}" text-anchor="end" fill="${CHART_COLORS.text}">${escapeHTML(item.label.length > 20 ? item.label.slice(0, 19) + '…' : item.label)}</text><rect x="${left}" y="${y + 4}" width="${barWidth.toFixed(1)}" height="14" rx="3" fill="${CHART_COLORS.expense}"><title>${escapeHTML(`${item.label}: ${formatCurrency(item.value)}`)}</title></rect><text x="${(left + barWidth + 6).toFixed(1)}" y="${y + 15}" fill="${CHART_COLORS.muted}">${formatCompactCurrency(item.value)}</text>`;
+    }).join('');
+    return svgDocument(width, height, rows);
+};
+const sha256Hex = async (text) => [...new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text)))].map(b => b.toString(16).padStart(2, '0')).join('');
+const bytesToBase64 = (bytes) => { let binary = ''; for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000)); return btoa(binary); };
+const base64ToBytes = (text) => Uint8Array.from(atob(text), ch => ch.charCodeAt(0));
+// CSV no padrão brasileiro (";" como separador), que o Excel abre diretamente
+// Onde a vírgula é o separador decimal (pt-BR), as planilhas esperam colunas separadas por ponto e vírgula
+const toCSV = (rows) => {
+    const delimiter = (1.5).toLocaleString(i18n.locale).includes(',') ? ';' : ',';
+    return rows.map(row => row.map(cell => String(cell).includes(delimiter) || /["\r\n]/.test(String(cell)) ? `"${String(cell).replace(/"/g, '""')}"` : cell).join(delimiter)).join('\r\n');
+};
+const downloadBlob = (blob, filename) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a'); link.href = url; link.download = filename; link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+// Rasteriza o SVG em um canvas com o dobro da resolução para telas de alta densidade
+const svgToPngBlob = (svg, width, height) => new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => {
+        const canvas = document.createElement('canvas'); canvas.width = width * 2; canvas.height = height * 2;
+        const context = canvas.getContext('2d'); context.scale(2, 2); context.drawImage(image, 0, 0, width, height);
+        canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Canvas vazio')), 'image/png');
+    };
+    image.onerror = () => reject(new Error('SVG inválido'));
+    image.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svg);
+});
+const readReminderFields = (form) => {
+    const daysBefore = Math.min(REMINDER_MAX_DAYS, Math.max(0, parseInt(form['reminder-days'].value) || 0)); const onDay = form['reminder-on-day'].checked;
+    return daysBefore > 0 || onDay ? { daysBefore, onDay } : null;
+};
+// Parcelas herdam o lembrete da regra; transações avulsas têm o próprio
+const getReminder = (tx, rules) => tx.reminder || (tx.recurringId ? rules.find(r => r.id === tx.recurringId)?.reminder : null) || null;
+const pickRuleFields = ({ description, amount, currency, categoryId, tags, accountId }) => ({ description, amount, currency, categoryId, tags, accountId });
+const getTransactionType = (tx) => tx.transferId ? 'transfer' : tx.amount >= 0 ? 'income' : 'expense';
+const describeOccurrence = (tx) => tx.skipped ? ` (${tr('occurrence.skipped')})` : tx.paidEarly ? ` (${tr('occurrence.paidEarly')})` : tx.paid ? ` (${tr('occurrence.paid')})` : '';
+// Tags são digitadas separadas por vírgula; o "#" inicial é opcional.
+const parseTags = (text) => [...new Set(text.split(',').map(tag => tag.trim().replace(/^#/, '').toLowerCase()).filter(Boolean))];
+const renderAccountChip = (account) => `<span class="account-chip">${escapeHTML(`${ACCOUNT_TYPES[account.type].icon} ${account.name}`)}</span>`;
+const describeHistoryEntry = ({ action, params, of }) => {
+    if (of) return tr(`history.actions.${action}`, { action: describeHistoryEntry(of) });
+    // As datas ficam em ISO no histórico e são formatadas no idioma atual
+    return tr(`history.actions.${action}`, params.date ? { ...params, date: new Date(params.date).toLocaleString(i18n.locale) } : params);
+};
+const describeSyncRecord = ({ collection, keptRecord, discardedRecord }, getCategory) => {
+    const record = keptRecord || discardedRecord;
+    if (collection === 'preferences') return tr('settings.preferencesTitle');
+    if (collection === 'budgets') return record.categoryId ? getCategory(record.categoryId).name : tr('budgets.generalShort');
+    return record.description || record.name;
+};
+const describeSyncVersion = (record) => {
+    if (!record) return tr('sync.deleted');
+    // Nome, valor e momento da alteração: o bastante para distinguir as duas versões
+    return [record.description || record.name, record.amount !== undefined ? formatCurrency(record.amount, record.currency || i18n.baseCurrency) : null, record.updatedAt ? new Date(record.updatedAt).toLocaleString(i18n.locale) : null].filter(Boolean).join(' • ');
+};
+const stableJSON = (value, omit = []) => JSON.stringify(value, (key, val) => omit.includes(key) ? undefined : val && typeof val === 'object' && !Array.isArray(val) ? Object.fromEntries(Object.keys(val).sort().map(k => [k, val[k]])) : val);
+const renderClassification = (category, tags) => `<span class="category-chip" style="--chip-color:${escapeHTML(sanitizeColor(category.color))}">${escapeHTML(category.name)}</span>` + tags.map(tag => `<span class="tag-chip">#${escapeHTML(tag)}</span>`).join('');
+
+const DEFAULT_LOCALE = 'pt-BR';
+const CURRENCIES = ['BRL', 'USD', 'EUR', 'GBP', 'JPY', 'CAD', 'ARS', 'CHF'];
+// Instalações novas usam o idioma do navegador quando há catálogo para ele; os demais idiomas caem no inglês
+const DEFAULT_PREFERENCES = {
+    locale: navigator.language.toLowerCase().startsWith('pt') ? 'pt-BR' : 'en',
+    weekStart: 0,
+    baseCurrency: 'BRL',
+    exchangeRates: {}
+};
+// Preferências em uso pelos formatadores; atualizadas por `applyPreferences`
+const i18n = { ...DEFAULT_PREFERENCES };
+
+// Os nomes padrão seguem o idioma em uso na primeira abertura e depois podem ser editados como qualquer outro
+const UNCATEGORIZED_ID = 'uncategorized';
+const DEFAULT_CATEGORY_COLOR = '#888888';
+const DEFAULT_CATEGORIES = [
+    { id: UNCATEGORIZED_ID, name: tr('categories.uncategorized'), color: '#888888', icon: '📁' },
+    { id: 'cat-food', name: tr('categories.food'), color: '#ff9800', icon: '🍽️' },
+    { id: 'cat-home', name: tr('categories.home'), color: '#2196f3', icon: '🏠' },
+    { id: 'cat-transport', name: tr('categories.transport'), color: '#9c27b0', icon: '🚗' },
+    { id: 'cat-leisure', name: tr('categories.leisure'), color: '#e91e63', icon: '🎉' },
+    { id: 'cat-income', name: tr('categories.salary'), color: '#66bb6a', icon: '💰' }
+];
+
+// Os rótulos ficam nos catálogos de idioma (`accountTypes.*`, `frequencies.*`, `dayModes.*`, `weekendAdjustments.*`)
+const ACCOUNT_TYPES = {
+    checking: { icon: '🏦' },
+    savings: { icon: '🐷' },
+    cash: { icon: '💵' },
+    credit: { icon: '💳' }
+};
+const RECURRENCE_FREQUENCIES = {
+    weekly: { days: 7 },
+    biweekly: { days: 14 },
+    monthly: { months: 1 },
+    quarterly: { months: 3 },
+    yearly: { months: 12 }
+};
+const DAY_MODES = ['fixed', 'last', 'business'];
+const WEEKEND_ADJUSTMENTS = ['none', 'forward', 'backward'];
+const REMINDER_MAX_DAYS = 30;
+const UPCOMING_BILLS_DAYS = 7;
+const REMINDER_STORAGE_KEY = 'finixNotifiedReminders';
+const RESTORE_COLLECTIONS = ['transactions', 'recurringExpenses', 'accounts', 'categories', 'budgets'];
+const HISTORY_LIMIT = 100;
+const SNACKBAR_DURATION = 6000;
+// Transportes de sincronização disponíveis: cada um recebe a configuração salva e devolve um objeto com `read()` e `write()`
+const SYNC_TRANSPORTS = {
+    webdav: (config) => new WebDAVTransport(config),
+    rest: (config) => new RestTransport(config)
+};
+const SYNC_DELAY = 3000;
+const SYNC_MAX_ATTEMPTS = 3;
+const SYNC_TOMBSTONE_TTL = 180 * 24 * 60 * 60 * 1000;
+// Ações que mostram o aviso com "Desfazer" logo após serem feitas
+const DESTRUCTIVE_ACTIONS = ['deleteTransaction', 'deleteTransfer', 'deleteRecurring', 'deleteCategory', 'deleteBudget', 'deleteAccount', 'deleteFilter', 'importStatement', 'mergeBackup', 'replaceBackup', 'restoreState'];
+const TRANSACTION_TYPES = ['income', 'expense', 'transfer'];
+const TRANSACTION_SORTS = {
+    dateDesc: (a, b) => new Date(b.date) - new Date(a.date),
+    dateAsc: (a, b) => new Date(a.date) - new Date(b.date),
+    amountDesc: (a, b) => Math.abs(toBase(b.amount, b.currency)) - Math.abs(toBase(a.amount, a.currency)),
+    amountAsc: (a, b) => Math.abs(toBase(a.amount, a.currency)) - Math.abs(toBase(b.amount, b.currency)),
+    description: (a, b) => a.description.localeCompare(b.description, i18n.locale)
+};
+const DEFAULT_TRANSACTION_FILTER = { text: '', categoryId: '', tag: '', accountId: '', type: '', origin: '', sort: 'dateDesc', minAmount: '', maxAmount: '', start: '', end: '' };
+const TRANSACTION_ROW_HEIGHT = 76;
+const VIRTUAL_LIST_OVERSCAN = 8;
+const CHART_COLORS = { background: '#1e1e1e', text: '#e0e0e0', muted: '#888', grid: '#333', primary: '#4CAF50', income: '#66bb6a', expense: '#ef5350' };
+const DEFAULT_ACCOUNT = { id: 'acc-default', name: tr('accounts.default'), type: 'cash', currency: DEFAULT_PREFERENCES.baseCurrency, openingBalance: 0 };
+
+// Migrações do esquema de dados, aplicadas em ordem. O índice + 1 é a versão alcançada por cada uma.
+// Nunca altere uma migração já publicada: adicione uma nova ao final.
+const SCHEMA_MIGRATIONS = [
+    // v1: regras antigas usavam `endDate`; passam a usar número de parcelas
+    (data) => {
+        data.transactions = data.transactions || [];
+        data.recurringExpenses = data.recurringExpenses || [];
+        data.recurringExpenses.forEach(r => {
+            if (r.endDate && !r.installments) {
+                r.installments = 12; // Define um padrão
+                delete r.endDate;
+            }
+            if (!r.appliedCount) r.appliedCount = 0;
+        });
+    },
+    // v2: categorias e tags. Dados antigos ficam em "Sem categoria".
+    (data) => {
+        if (!Array.isArray(data.categories)) data.categories = DEFAULT_CATEGORIES.map(c => ({ ...c }));
+        if (!data.categories.some(c => c.id === UNCATEGORIZED_ID)) data.categories.unshift({ ...DEFAULT_CATEGORIES[0] });
+        [...data.transactions, ...data.recurringExpenses].forEach(item => {
+            if (!item.categoryId || !data.categories.some(c => c.id === item.categoryId)) item.categoryId = UNCATEGORIZED_ID;
+            if (!Array.isArray(item.tags)) item.tags = [];
+        });
+    },
+    // v3: orçamentos mensais
+    (data) => {
+        if (!Array.isArray(data.budgets)) data.budgets = [];
+        data.budgets = data.budgets.filter(b => !b.categoryId || data.categories.some(c => c.id === b.categoryId));
+    },
+    // v4: contas. Dados antigos ficam na conta padrão.
+    (data) => {
+        if (!Array.isArray(data.accounts) || data.accounts.length === 0) data.accounts = [{ ...DEFAULT_ACCOUNT }];
+        [...data.transactions, ...data.recurringExpenses].forEach(item => {
+            if (!item.accountId || !data.accounts.some(a => a.id === item.accountId)) item.accountId = data.accounts[0].id;
+        });
+    },
+    // v5: parcelas passam a ser identificadas pelo número, em ordem de data
+    (data) => {
+        data.recurringExpenses.forEach(rule => {
+            const occurrences = data.transactions.filter(t => t.recurringId === rule.id).sort((a, b) => new Date(a.date) - new Date(b.date));
+            occurrences.forEach((t, i) => { if (!t.installment) t.installment = i + 1; });
+            rule.appliedCount = Math.max(rule.appliedCount || 0, occurrences.length);
+        });
+    },
+    // v6: regras com frequência, data de início e ids determinísticos por parcela
+    (data) => {
+        data.recurringExpenses.forEach(rule => {
+            const occurrences = data.transactions.filter(t => t.recurringId === rule.id).sort((a, b) => a.installment - b.installment);
+            const first = occurrences[0] ? new Date(occurrences[0].originalDate || occurrences[0].date) : new Date(rule.startDate || rule.lastApplied || Date.now());
+            if (!rule.startDate) rule.startDate = new Date(first.getFullYear(), first.getMonth(), 1, 12, 0, 0).toISOString();
+            Object.assign(rule, { frequency: rule.frequency || 'monthly', dayMode: rule.dayMode || 'fixed', weekendAdjustment: rule.weekendAdjustment || 'none' });
+            if (rule.installments === undefined) rule.installments = null;
+            delete rule.appliedCount;
+            delete rule.lastApplied;
+            occurrences.forEach(t => t.id = `${rule.id}-${t.installment}`);
+        });
+    },
+    // v7: idioma e moedas. Os dados existentes estão todos em reais.
+    (data) => {
+        if (!data.preferences) data.preferences = { ...DEFAULT_PREFERENCES, exchangeRates: {} };
+        data.accounts.forEach(a => { if (!a.currency) a.currency = 'BRL'; });
+        [...data.transactions, ...data.recurringExpenses].forEach(item => {
+            if (!item.currency) item.currency = data.accounts.find(a => a.id === item.accountId).currency;
+        });
+    },
+    // v8: buscas salvas na tela de transações
+    (data) => {
+        if (!data.savedFilters) data.savedFilters = [];
+    },
+    // v9: registros removidos (tombstones) para a sincronização. Registros sem `updatedAt` contam como nunca alterados.
+    (data) => {
+        if (!data.tombstones) data.tombstones = [];
+    }
+];
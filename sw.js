@@ -1,45 +1,111 @@
-// Define um nome e versão para o cache. Mudar este nome invalida o cache antigo.
-const CACHE_NAME = 'finance-pwa-cache-v1';
+// Define um nome e versão para o cache. Mude a versão a cada publicação: o cache antigo é apagado no 'activate'.
+const CACHE_VERSION = 'v6';
+const CACHE_PREFIX = 'finance-pwa-cache-';
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
 
 // Lista de arquivos essenciais para o funcionamento offline do app (o "App Shell").
 const urlsToCache = [
-    './', // Cacheia a página principal (index.html)
-    './main.js', // Cacheia o arquivo JavaScript principal
-    // Se você tivesse um arquivo CSS, ele seria listado aqui: './style.css'
+    './', // Página principal (index.html), como é acessada pelo start_url do manifest
+    './index.html',
+    './locales.js',
+    './main.js',
+    './manifest.json',
+    './icons/icon-192.png',
+    './icons/icon-512.png'
 ];
+const SHELL_URLS = new Set(urlsToCache.map(url => new URL(url, self.location).href));
 
 /**
- * Evento 'install': Disparado quando o Service Worker é instalado pela primeira vez.
- * É aqui que colocamos os arquivos essenciais em cache.
+ * Evento 'install': Disparado quando uma nova versão do Service Worker é instalada.
+ * Todos os arquivos do App Shell são baixados da rede (ignorando o cache HTTP) para o cache desta versão.
+ * O novo Service Worker fica em espera até o usuário aceitar a atualização (veja o evento 'message').
  */
 self.addEventListener('install', event => {
-    // event.waitUntil espera a Promise terminar para garantir que a instalação foi bem-sucedida.
     event.waitUntil(
-        caches.open(CACHE_NAME) // Abre o nosso cache pelo nome definido.
-            .then(cache => {
-                console.log('Cache aberto com sucesso.');
-                // Adiciona todos os arquivos da nossa lista ao cache.
-                return cache.addAll(urlsToCache);
-            })
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(urlsToCache.map(url => new Request(url, { cache: 'reload' }))))
     );
 });
 
 /**
- * Evento 'fetch': Disparado toda vez que a página faz uma requisição de rede (ex: carregar uma imagem, script, ou a própria página).
- * Nós interceptamos essa requisição para decidir se servimos do cache ou da rede.
+ * Evento 'activate': Disparado quando esta versão assume o controle.
+ * Remove os caches de versões anteriores e passa a controlar as abas já abertas.
+ */
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+/**
+ * Evento 'message': O app pede para ativar a nova versão quando o usuário toca em "Recarregar".
+ */
+self.addEventListener('message', event => {
+    if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+/**
+ * Evento 'fetch': Os arquivos do App Shell (e as navegações) vêm primeiro do cache desta versão, gravado no 'install';
+ * assim uma publicação só chega ao usuário inteira, por meio de um novo Service Worker.
+ * Os demais arquivos do próprio app usam stale-while-revalidate: respondem com a cópia em cache (se houver)
+ * e, em paralelo, buscam a versão da rede para a próxima visita.
+ * Sem conexão e sem cópia em cache, as navegações recebem a página principal.
  */
 self.addEventListener('fetch', event => {
-    // event.respondWith intercepta a requisição e nos permite fornecer nossa própria resposta.
+    const { request } = event;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+    // O documento de sincronização (servidor REST no mesmo domínio) sempre vem da rede
+    if (request.cache === 'no-store') return;
+    const offlinePage = () => caches.match('./').then(page => request.mode === 'navigate' && page ? page : Response.error());
+
+    if (request.mode === 'navigate' || SHELL_URLS.has(request.url)) {
+        event.respondWith(
+            caches.open(CACHE_NAME)
+                .then(cache => cache.match(request, { ignoreSearch: request.mode === 'navigate' }))
+                .then(cached => cached || fetch(request))
+                .catch(offlinePage)
+        );
+        return;
+    }
+
+    const network = fetch(request).then(response => {
+        // Só guarda respostas completas e bem-sucedidas
+        if (response.ok && response.type === 'basic') {
+            const copy = response.clone();
+            caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+        }
+        return response;
+    });
+    // Mantém o Service Worker vivo até a revalidação terminar, mesmo que a resposta venha do cache
+    event.waitUntil(network.then(() => undefined, () => undefined));
+
     event.respondWith(
-        // Tenta encontrar uma resposta para esta requisição no nosso cache.
-        caches.match(event.request)
-            .then(response => {
-                // Se uma resposta for encontrada no cache (response !== null), a retorna.
-                if (response) {
-                    return response;
-                }
-                // Se não for encontrada no cache, faz a requisição à rede como faria normalmente.
-                return fetch(event.request);
-            })
+        caches.match(request)
+            .then(cached => cached || network)
+            .catch(offlinePage)
+    );
+});
+
+/**
+ * Evento 'notificationclick': Abre o app no dia do vencimento da conta.
+ * Se o app já estiver aberto, a aba é focada e recebe uma mensagem; senão, uma nova janela é aberta com o dia na URL.
+ * A ação "Marcar como paga" é repassada para o app, que quita a conta ao abrir.
+ */
+self.addEventListener('notificationclick', event => {
+    event.notification.close();
+    const { date, id } = event.notification.data || {};
+    if (!date) return;
+    const action = event.action === 'paid' ? 'paid' : '';
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+            const client = windows[0];
+            if (client) {
+                client.postMessage({ type: 'OPEN_DAY', date, id, action });
+                return client.focus();
+            }
+            return self.clients.openWindow(`./?day=${date}&tx=${encodeURIComponent(id)}${action ? `&action=${action}` : ''}`);
+        })
     );
-});
\ No newline at end of file
+});